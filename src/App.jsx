@@ -1,8 +1,16 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useMemo } from 'react'
 import './App.css'
 import { ParametersPanel } from './components/ParametersPanel'
 import { PlotPanel } from './components/PlotPanel'
 import { RemarksPanel } from './components/RemarksPanel'
+import { WeatherFileInput } from './components/WeatherFileInput'
+import { PerformanceSummary } from './components/PerformanceSummary'
+import { EconomicsPanel } from './components/EconomicsPanel'
+import { SweepPanel } from './components/SweepPanel'
+import { ScenarioPanel } from './components/ScenarioPanel'
+import { ProjectLibrary } from './components/ProjectLibrary'
+import { Button } from './components/ui/button'
+import { Link, Check } from 'lucide-react'
 import {
   calculateSolarIrradiance,
   calculatePanelEfficiency,
@@ -10,220 +18,368 @@ import {
   simulateSolarIrradiance,
   simulateSolarPanel,
   simulateStorageTank,
+  getRunInfo,
+  getPerformanceIndicators,
+  simulateEconomics,
+  getSimulationDays,
+  runParameterSweepAsync,
+  overlayScenarios,
+  encodePermalink,
+  decodePermalink,
+  createProject,
+  loadProjectLibrary,
+  saveProjectLibrary,
+  seriesToCsv,
+  resultsToJson,
+  PARAMETER_SCHEMA,
+  PARAMETER_DEFINITIONS,
+  DEFAULT_PARAMETERS,
+  formatParameterLabel,
+  isParameterVisible,
+  getParameterUnit,
+  parseParameterValue,
+  validateParameters,
+  UNIT_SYSTEMS,
+  toDisplayValue,
+  loadUnitSystem,
+  saveUnitSystem,
 } from './lib/simulations'
+import { downloadFile, toFileName } from './lib/utils'
 
-// Section configurations with their default parameters
-const SECTIONS = {
-  simulationParameters: {
-    id: 'simulationParameters',
-    title: 'Simulation Parameters',
-    parameters: {
-      ambientTemp: 20.0,
-      massFlowRate: 0.05,
-    },
-  },
-  solarIrradiance: {
-    id: 'solarIrradiance',
-    title: 'Solar Irradiance',
-    parameters: {
-      irradianceStartHour: 6.0,
-      irradianceEndHour: 18.0,
-      irradiancePeakHour: 12.0,
-      solarIrradiancePeak: 800,
-    },
-  },
-  solarPanel: {
-    id: 'solarPanel',
-    title: 'Solar Panel',
-    parameters: {
-      panelArea: 2.0,
-      panelEfficiencyRef: 0.70,
-      panelMaxTemp: 80.0,
-      panelUValue: 10.0,
-      panelRefTemp: 25.0,
-      panelTempCoefficient: 0.004,
-    },
-    dependencies: ['solarIrradiance', 'simulationParameters'],
-  },
-  storageTank: {
-    id: 'storageTank',
-    title: 'Storage Tank',
-    parameters: {
-      tankVolume: 200,
-      initialTankTemp: 20.0,
-      tankSurfaceArea: 2.0,
-      tankInsulationUValue: 0.5,
-    },
-    dependencies: ['solarPanel', 'simulationParameters'],
-  },
-}
+// One-line summary of the run's cost and accuracy shown under the plot title
+const formatRunInfo = (info) => [
+  `${info.integrator}, Δt ${info.timestep} s`,
+  `${info.steps.toLocaleString()} steps${info.substeps !== info.steps ? ` (${info.substeps.toLocaleString()} substeps)` : ''}`,
+  `${info.evaluations.toLocaleString()} evaluations`,
+  `${Math.round(info.wallTime)} ms`,
+  `energy residual ${info.energyResidual.toFixed(4)} kWh (${(info.relativeResidual * 100).toFixed(3)}%)`,
+].join(' · ')
 
-// Parameter descriptions and metadata
-const PARAMETER_DESCRIPTIONS = {
-  irradianceStartHour: {
-    label: 'Start Hour (h)',
-    description: 'Hour of day when solar irradiance becomes non-zero (sunrise). Typical: 6 AM.',
-  },
-  irradianceEndHour: {
-    label: 'End Hour (h)',
-    description: 'Hour of day when solar irradiance becomes zero (sunset). Typical: 6 PM.',
-  },
-  irradiancePeakHour: {
-    label: 'Peak Hour (h)',
-    description: 'Hour of day at which solar irradiance reaches maximum (solar noon). Typical: 12 PM.',
-  },
-  solarIrradiancePeak: {
-    label: 'Peak Solar Irradiance (W/m²)',
-    description: 'Maximum solar radiation intensity in W/m² during peak daylight. Standard value: 1000 W/m² at sea level on clear day.',
-  },
-  panelArea: {
-    label: 'Panel Area (m²)',
-    description: 'Total surface area of the solar panel in square meters. Larger area increases energy collection capacity.',
-  },
-  panelEfficiencyRef: {
-    label: 'Panel Efficiency (%)',
-    description: 'Reference efficiency at standard test conditions (25°C). Typical solar panels: 15-22%. Higher efficiency means better energy conversion.',
-  },
-  panelMaxTemp: {
-    label: 'Max Panel Temp (°C)',
-    description: 'Maximum safe operating temperature for the panel in °C. Efficiency decreases as temperature increases due to thermal effects.',
-  },
-  panelUValue: {
-    label: 'Panel U-Value (W/m²·K)',
-    description: 'Heat transfer coefficient for the panel surface in W/(m²*K). Represents panel thermal resistance and heat loss rate to environment.',
-  },
-  panelRefTemp: {
-    label: 'Reference Temp (°C)',
-    description: 'Reference temperature for efficiency rating in °C. Standard test condition is 25°C. Used as baseline for temperature coefficient calculations.',
-  },
-  panelTempCoefficient: {
-    label: 'Temp Coefficient (%/°C)',
-    description: 'Temperature coefficient for efficiency loss as a decimal. Typical value: 0.004 (-0.4% per °C). Efficiency decreases linearly with temperature above reference.',
-  },
-  tankVolume: {
-    label: 'Tank Volume (L)',
-    description: 'Total volume of the storage tank in liters. Larger tanks store more thermal energy but have more surface area for heat loss.',
-  },
-  initialTankTemp: {
-    label: 'Initial Tank Temp (°C)',
-    description: 'Starting temperature of the storage tank in °C. Typically matches ambient temperature at startup.',
-  },
-  tankSurfaceArea: {
-    label: 'Tank Surface Area (m²)',
-    description: 'Exposed surface area of the storage tank in m². Used to calculate heat loss to environment.',
-  },
-  tankInsulationUValue: {
-    label: 'Tank U-Value (W/m²·K)',
-    description: 'Overall heat transfer coefficient for the tank insulation in W/(m²*K). Lower values indicate better insulation (less heat loss).',
-  },
-  massFlowRate: {
-    label: 'Mass Flow Rate (kg/s)',
-    description: 'Rate of fluid circulation through the solar panel in kg/s. Higher flow rates increase heat transfer but require more pump power.',
-  },
-  ambientTemp: {
-    label: 'Ambient Temperature (°C)',
-    description: 'Surrounding air temperature in °C. Used for calculating heat loss from panel and tank to environment.',
-  },
+// Time series view plotted for each section; Simulation Parameters don't have their own plot, show the first available
+const SECTION_VIEWS = {
+  simulationParameters: simulateSolarIrradiance,
+  solarIrradiance: simulateSolarIrradiance,
+  solarPanel: simulateSolarPanel,
+  storageTank: simulateStorageTank,
+  backupHeater: simulateStorageTank,
 }
 
-// Default physics parameters
-const DEFAULT_PARAMETERS = {
-  irradianceStartHour: 6.0,
-  irradianceEndHour: 18.0,
-  irradiancePeakHour: 12.0,
-  solarIrradiancePeak: 800,
-  panelArea: 2.0,
-  panelEfficiencyRef: 0.70,
-  panelMaxTemp: 80.0,
-  panelUValue: 10.0,
-  panelRefTemp: 25.0,
-  panelTempCoefficient: 0.004,
-  tankVolume: 200,
-  initialTankTemp: 20.0,
-  tankSurfaceArea: 2.0,
-  tankInsulationUValue: 0.5,
-  massFlowRate: 0.05,
-  ambientTemp: 20.0,
-}
+// Imported weather files are not stored in links or projects: without one loaded, fall back to synthetic weather
+const detachWeatherFile = (params) => (params.weatherSource === 'file' ? { ...params, weatherSource: 'synthetic' } : params)
+
+// State shared through the URL hash, missing values fall back to the defaults
+const LINKED_STATE = decodePermalink(window.location.hash, DEFAULT_PARAMETERS, Object.keys(PARAMETER_SCHEMA))
+
+// Key parameters of a section as one line for chart image captions, options by their label, numbers in the unit system
+const formatParameterCaption = (sectionId, params, unitSystem) => Object.entries(PARAMETER_SCHEMA[sectionId]?.parameters || {})
+  .filter(([, definition]) => isParameterVisible(definition, params))
+  .map(([key, definition]) => {
+    const unit = getParameterUnit(definition, params)
+    const option = definition.options?.find((o) => o.value === params[key])
+    const value = typeof params[key] === 'number' ? parseFloat(toDisplayValue(params[key], unit, unitSystem).toPrecision(6)) : params[key]
+    return `${formatParameterLabel(definition, unitSystem, unit)}: ${option ? option.label : value}`
+  })
+  .join(' · ')
+
+// Series of a section view: the current parameters drawn solid, each selected scenario overlaid in its own line style
+const getSectionSeries = (view, inputs, scenarios, selectedScenarios, options) => overlayScenarios([
+  { name: 'Current', series: view(inputs, options) },
+  ...scenarios
+    .filter((scenario) => selectedScenarios.includes(scenario.name))
+    .map((scenario) => ({ name: scenario.name, series: view(scenario.parameters, options) })),
+])
+
+// One axis of the sweep from the sweep parameters, axis 'X' or 'Y'
+const getSweepAxis = (params, axis) => ({
+  parameter: params[`sweepParameter${axis}`],
+  min: params[`sweep${axis}Min`],
+  max: params[`sweep${axis}Max`],
+  steps: params[`sweep${axis}Steps`],
+  integer: PARAMETER_DEFINITIONS[params[`sweepParameter${axis}`]]?.integer,
+})
+
+// No section has pending updates
+const NO_PENDING_UPDATES = Object.fromEntries(Object.keys(PARAMETER_SCHEMA).map((sectionId) => [sectionId, false]))
 
 function App() {
-  const [parameters, setParameters] = useState(DEFAULT_PARAMETERS)
+  const [parameters, setParameters] = useState(detachWeatherFile(LINKED_STATE.parameters))
+  // Parameters the plots and summaries were last run with: edits only take effect on Update
+  const [applied, setApplied] = useState(() => (Object.keys(validateParameters(parameters)).length === 0 ? parameters : DEFAULT_PARAMETERS))
   const [plotData, setPlotData] = useState([])
-  const [activeSection, setActiveSection] = useState('simulationParameters')
-  const [pendingUpdates, setPendingUpdates] = useState({
-    simulationParameters: false,
-    solarIrradiance: false,
-    solarPanel: false,
-    storageTank: false,
-  })
-  const [lastUpdatedSection, setLastUpdatedSection] = useState('simulationParameters')
+  const [activeSection, setActiveSection] = useState(LINKED_STATE.activeSection || 'simulationParameters')
+  const [pendingUpdates, setPendingUpdates] = useState(NO_PENDING_UPDATES)
+  const [lastUpdatedSection, setLastUpdatedSection] = useState(LINKED_STATE.plotSection || 'simulationParameters')
+  const [weather, setWeather] = useState(null)
+  const [runInfo, setRunInfo] = useState(null)
+  const [indicators, setIndicators] = useState(null)
+  const [economics, setEconomics] = useState(null)
+  const [sweep, setSweep] = useState(null)
+  const [sweepProgress, setSweepProgress] = useState(null)
+  const [sweepError, setSweepError] = useState(null)
+  const [scenarios, setScenarios] = useState([])
+  const [selectedScenarios, setSelectedScenarios] = useState([])
+  const [linkCopied, setLinkCopied] = useState(false)
+  const [library] = useState(() => loadProjectLibrary(DEFAULT_PARAMETERS))
+  const [projects, setProjects] = useState(library.projects)
+  const [librarySaved, setLibrarySaved] = useState(true)
+  const [currentProjectId, setCurrentProjectId] = useState(null)
+  const [unitSystem, setUnitSystem] = useState(loadUnitSystem)
 
+  // Imported weather records travel with the parameters into the simulations
+  const inputs = useMemo(() => (weather ? { ...parameters, weather } : parameters), [parameters, weather])
+  const errors = useMemo(() => validateParameters(inputs, unitSystem), [inputs, unitSystem])
+  const hasErrors = Object.keys(errors).length > 0
 
-  // Update plot when parameters for the last updated section change
+  // Run the simulations on these parameters from now on and clear every pending update;
+  // invalid parameters keep the last valid run
+  const applyParameters = (params, weatherData = weather) => {
+    const next = weatherData ? { ...params, weather: weatherData } : params
+    if (Object.keys(validateParameters(next, unitSystem)).length > 0) {
+      return
+    }
+    setApplied(next)
+    setPendingUpdates(NO_PENDING_UPDATES)
+  }
+
+  // Update the plot when parameters are applied or another section is plotted. The applied object only
+  // changes on Update, so typing does not simulate, and every view of it shares one cached system run
   useEffect(() => {
     let newData
-    if (lastUpdatedSection === 'solarIrradiance') {
-      newData = simulateSolarIrradiance(parameters)
-    } else if (lastUpdatedSection === 'solarPanel') {
-      newData = simulateSolarPanel(parameters)
-    } else if (lastUpdatedSection === 'storageTank') {
-      newData = simulateStorageTank(parameters)
-    } else if (lastUpdatedSection === 'simulationParameters') {
-      // Simulation Parameters don't have their own plot, show the first available
-      newData = simulateSolarIrradiance(parameters)
+    const view = SECTION_VIEWS[lastUpdatedSection]
+    if (view) {
+      newData = getSectionSeries(view, applied, scenarios, selectedScenarios)
+    } else if (lastUpdatedSection === 'economics') {
+      // Economics are shown as a cash-flow chart instead of the time series plot
+      setEconomics(simulateEconomics(applied))
     }
     setPlotData(newData)
-  }, [parameters, lastUpdatedSection])
+    // The time series views already ran the system for these parameters, so these read the cached run
+    setRunInfo(getRunInfo(applied))
+    setIndicators(getPerformanceIndicators(applied))
+  }, [applied, lastUpdatedSection, scenarios, selectedScenarios])
+
+  // The sweep runs the system for every combination one after another without blocking the page
+  // and draws its own chart; applying new parameters or leaving the section cancels it
+  useEffect(() => {
+    if (lastUpdatedSection !== 'sweep') {
+      return
+    }
+    const controller = new AbortController()
+    setSweepError(null)
+    runParameterSweepAsync(
+      applied,
+      getSweepAxis(applied, 'X'),
+      applied.sweepMode === '2d' ? getSweepAxis(applied, 'Y') : null,
+      applied.sweepMetric,
+      { signal: controller.signal, onProgress: (done, total) => setSweepProgress({ done, total }) }
+    ).then((result) => {
+      if (result) {
+        setSweep(result)
+        setSweepProgress(null)
+      }
+    }).catch((err) => {
+      // A run that fails ends the sweep; the message replaces the stalled progress bar
+      if (!controller.signal.aborted) {
+        setSweepProgress(null)
+        setSweepError(`The sweep stopped: ${err.message}`)
+      }
+    })
+    return () => {
+      controller.abort()
+      setSweepProgress(null)
+    }
+  }, [applied, lastUpdatedSection])
+
+  // Keep the URL in sync so the address bar is always a permalink to what is on screen
+  useEffect(() => {
+    const hash = encodePermalink({ parameters, activeSection, plotSection: lastUpdatedSection }, DEFAULT_PARAMETERS)
+    window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}#${hash}`)
+    setLinkCopied(false)
+  }, [parameters, activeSection, lastUpdatedSection])
+
+  // Every change to the project library is saved in the browser right away. The library as loaded
+  // is not saved back: until something changes, storage keeps exactly what was there
+  useEffect(() => {
+    if (projects !== library.projects) {
+      setLibrarySaved(library.loaded && saveProjectLibrary(projects, library.unreadable))
+    }
+  }, [projects, library])
+
+  // The unit system is a display preference of this browser, not part of links or projects
+  useEffect(() => {
+    saveUnitSystem(unitSystem)
+  }, [unitSystem])
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href)
+      setLinkCopied(true)
+    } catch {
+      // Clipboard access denied: the address bar holds the same link
+      setLinkCopied(false)
+    }
+  }
+
+  // Mark the sections that contain these parameters as having pending updates
+  const markPending = (keys) => {
+    setPendingUpdates({
+      ...pendingUpdates,
+      ...Object.fromEntries(Object.entries(PARAMETER_SCHEMA)
+        .filter(([, section]) => keys.some((key) => section.parameters.hasOwnProperty(key)))
+        .map(([sectionId]) => [sectionId, true])),
+    })
+  }
 
   const handleParameterChange = (key, value) => {
     setParameters({
       ...parameters,
-      [key]: parseFloat(value) || 0,
-    })
-    // Mark the section that contains this parameter as having pending updates
-    Object.entries(SECTIONS).forEach(([sectionId, section]) => {
-      if (section.parameters.hasOwnProperty(key)) {
-        setPendingUpdates({
-          ...pendingUpdates,
-          [sectionId]: true,
-        })
-      }
+      // An unreadable number is kept as typed and shown as an error until corrected
+      [key]: parseParameterValue(PARAMETER_DEFINITIONS[key], value),
     })
+    markPending([key])
   }
 
+  // Updating any section applies every edited parameter
   const handleUpdate = (sectionId) => {
     setLastUpdatedSection(sectionId)
-    setPendingUpdates({
-      ...pendingUpdates,
-      [sectionId]: false,
-    })
+    applyParameters(parameters)
   }
 
   const handleSectionChange = (sectionId) => {
     setActiveSection(sectionId)
-    // Display the plot for the selected section only if opening a section
+    // Display the plot for the selected section only if opening a section, run with the applied parameters
     if (sectionId) {
       setLastUpdatedSection(sectionId)
     }
   }
 
+  // Select the imported file as weather source and take over its site location, applied on the next Update
+  const handleWeatherLoad = (data) => {
+    setWeather(data)
+    const location = data.location && Object.fromEntries(
+      Object.entries(data.location).filter(([, value]) => Number.isFinite(value))
+    )
+    setParameters({
+      ...parameters,
+      ...location,
+      weatherSource: 'file',
+    })
+    markPending(['weatherSource', ...Object.keys(location || {})])
+  }
+
+  const handleWeatherClear = () => {
+    setWeather(null)
+    setParameters({
+      ...parameters,
+      weatherSource: 'synthetic',
+    })
+    markPending(['weatherSource'])
+  }
+
+  // Saving under an existing name replaces that scenario's parameters
+  const handleSaveScenario = (name) => {
+    const scenario = { name, parameters: inputs }
+    setScenarios(scenarios.some((s) => s.name === name)
+      ? scenarios.map((s) => (s.name === name ? scenario : s))
+      : [...scenarios, scenario])
+  }
+
+  const handleToggleScenario = (name) => {
+    setSelectedScenarios(selectedScenarios.includes(name)
+      ? selectedScenarios.filter((n) => n !== name)
+      : [...selectedScenarios, name])
+  }
+
+  const handleDeleteScenario = (name) => {
+    setScenarios(scenarios.filter((s) => s.name !== name))
+    setSelectedScenarios(selectedScenarios.filter((n) => n !== name))
+  }
+
+  // Projects are saved only with valid parameters, like scenarios
+  const handleSaveProjectAs = (name) => {
+    if (hasErrors) {
+      return
+    }
+    const project = createProject(name, parameters)
+    setProjects([...projects, project])
+    setCurrentProjectId(project.id)
+  }
+
+  const handleSaveProject = () => {
+    if (hasErrors) {
+      return
+    }
+    setProjects(projects.map((project) => (project.id === currentProjectId
+      ? { ...project, parameters, savedAt: new Date().toISOString() }
+      : project)))
+  }
+
+  const handleLoadProject = (id, library = projects) => {
+    const project = library.find((p) => p.id === id)
+    const projectParameters = weather ? project.parameters : detachWeatherFile(project.parameters)
+    setParameters(projectParameters)
+    applyParameters(projectParameters)
+    setCurrentProjectId(id)
+  }
+
+  const handleRenameProject = (id, name) => {
+    setProjects(projects.map((project) => (project.id === id ? { ...project, name } : project)))
+  }
+
+  // The copy goes right after its original
+  const handleDuplicateProject = (id) => {
+    const idx = projects.findIndex((project) => project.id === id)
+    const copy = createProject(`${projects[idx].name} (copy)`, projects[idx].parameters)
+    setProjects([...projects.slice(0, idx + 1), copy, ...projects.slice(idx + 1)])
+  }
+
+  const handleDeleteProject = (id) => {
+    setProjects(projects.filter((project) => project.id !== id))
+    if (id === currentProjectId) {
+      setCurrentProjectId(null)
+    }
+  }
+
+  // An imported project joins the library and opens
+  const handleImportProject = (project) => {
+    const library = [...projects, project]
+    setProjects(library)
+    handleLoadProject(project.id, library)
+  }
+
+  // Download the plotted result set; at full resolution the views are run again recording every timestep
+  const handleExportResults = (format, fullResolution) => {
+    const series = fullResolution
+      ? getSectionSeries(SECTION_VIEWS[lastUpdatedSection], applied, scenarios, selectedScenarios, { fullResolution })
+      : plotData
+    const fileName = toFileName(`${axisConfig.title}${fullResolution ? ' full resolution' : ''}`, format)
+    if (format === 'csv') {
+      downloadFile(seriesToCsv(series), fileName, 'text/csv')
+    } else {
+      downloadFile(resultsToJson({
+        title: axisConfig.title,
+        section: lastUpdatedSection,
+        fullResolution,
+        parameters: applied,
+        series,
+        scenarios: scenarios.filter((scenario) => selectedScenarios.includes(scenario.name)),
+      }), fileName, 'application/json')
+    }
+  }
+
   const handleReset = () => {
     setParameters(DEFAULT_PARAMETERS)
-    setPendingUpdates({
-      simulationParameters: false,
-      solarIrradiance: false,
-      solarPanel: false,
-      storageTank: false,
-    })
+    applyParameters(DEFAULT_PARAMETERS)
   }
 
   // Get axis titles based on the last updated section
   const getAxisTitles = () => {
     const titles = {
-      simulationParameters: { x: 'Time (hours)', y: 'Solar Irradiance (W/m²)', title: 'Solar Irradiance Profile' },
-      solarIrradiance: { x: 'Time (hours)', y: 'Solar Irradiance (W/m²)', title: 'Solar Irradiance Profile' },
+      simulationParameters: { x: 'Time (hours)', y: 'Solar Irradiance (W/m²)', title: 'Solar Irradiance Profile (Horizontal and Plane of Array)' },
+      solarIrradiance: { x: 'Time (hours)', y: 'Solar Irradiance (W/m²)', title: 'Solar Irradiance Profile (Horizontal and Plane of Array)' },
       solarPanel: { x: 'Time (hours)', y: 'Value', title: 'Solar Panel Performance (Temperature, Efficiency, Heat Output)' },
       storageTank: { x: 'Time (hours)', y: 'Value', title: 'Storage Tank Performance (Energy Balance and Temperature)' },
+      backupHeater: { x: 'Time (hours)', y: 'Value', title: 'Storage Tank with Backup Heater (Solar vs Auxiliary Energy)' },
     }
     return titles[lastUpdatedSection] || titles.solarIrradiance
   }
@@ -234,9 +390,40 @@ function App() {
     <div className="min-h-screen bg-gradient-to-br from-slate-900 to-slate-800 py-6">
       <div className="mx-1">
         {/* Header */}
-        <div className="mb-8">
-          <h1 className="text-4xl font-bold text-white mb-2">Physics Simulator</h1>
-          <p className="text-slate-300">Heat Transfer from a Solar Panel to a Water Storage Tank</p>
+        <div className="mb-8 flex items-start justify-between gap-4">
+          <div>
+            <h1 className="text-4xl font-bold text-white mb-2">Physics Simulator</h1>
+            <p className="text-slate-300">Heat Transfer from a Solar Panel to a Water Storage Tank</p>
+          </div>
+          <div className="flex items-center gap-2">
+            <div className="flex" role="group" aria-label="Unit system">
+              {UNIT_SYSTEMS.map(({ value, label }) => (
+                <Button
+                  key={value}
+                  variant="outline"
+                  size="sm"
+                  onClick={() => setUnitSystem(value)}
+                  aria-pressed={unitSystem === value}
+                  className={`first:rounded-r-none last:rounded-l-none border-slate-600 text-white ${
+                    unitSystem === value ? 'bg-blue-600 hover:bg-blue-700' : 'bg-slate-700 hover:bg-slate-600'
+                  }`}
+                  title={value === 'si' ? 'Show values in SI units: °C, L, m², W' : 'Show values in US units: °F, gallons, ft², BTU/h'}
+                >
+                  {label}
+                </Button>
+              ))}
+            </div>
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={handleCopyLink}
+              className="gap-2 bg-slate-700 border-slate-600 text-white hover:bg-slate-600"
+              title="Copy a link to this configuration: all parameters, the open section and the plot"
+            >
+              {linkCopied ? <Check className="w-4 h-4" /> : <Link className="w-4 h-4" />}
+              {linkCopied ? 'Link Copied' : 'Copy Link'}
+            </Button>
+          </div>
         </div>
 
         {/* Main Layout */}
@@ -244,33 +431,79 @@ function App() {
           {/* Parameters Panel - 20% width */}
           <div className="lg:col-span-2 min-h-0 flex flex-col">
             <ParametersPanel
-              sections={SECTIONS}
-              parameters={parameters}
+              schema={PARAMETER_SCHEMA}
+              parameters={inputs}
+              errors={errors}
               onParameterChange={handleParameterChange}
               onUpdate={handleUpdate}
               onReset={handleReset}
               activeSection={activeSection}
               onSectionChange={handleSectionChange}
               pendingUpdates={pendingUpdates}
-              defaultParameters={DEFAULT_PARAMETERS}
-              parameterDescriptions={PARAMETER_DESCRIPTIONS}
+              unitSystem={unitSystem}
+              sectionExtras={{
+                simulationParameters: (
+                  <WeatherFileInput weather={weather} onLoad={handleWeatherLoad} onClear={handleWeatherClear} />
+                ),
+              }}
             />
           </div>
 
-          {/* Plot Panel - 60% width */}
-          <div className="lg:col-span-6 min-h-0 flex flex-col">
-            <PlotPanel
-              data={plotData}
-              title={axisConfig.title}
-              xAxisLabel={axisConfig.x}
-              yAxisLabel={axisConfig.y}
-              subplots={lastUpdatedSection === 'solarPanel' || lastUpdatedSection === 'storageTank'}
+          {/* Performance Summary and Plot Panel - 60% width */}
+          <div className="lg:col-span-6 min-h-0 flex flex-col gap-2">
+            <PerformanceSummary indicators={indicators} unitSystem={unitSystem} />
+            <ScenarioPanel
+              parameters={inputs}
+              scenarios={scenarios}
+              selected={selectedScenarios}
+              onSave={handleSaveScenario}
+              onToggle={handleToggleScenario}
+              onDelete={handleDeleteScenario}
+              canSave={!hasErrors}
+              parameterDefinitions={PARAMETER_DEFINITIONS}
+              unitSystem={unitSystem}
             />
+            <div className="flex-1 min-h-0 flex flex-col">
+              {lastUpdatedSection === 'economics' ? (
+                <EconomicsPanel economics={economics} simulationDays={getSimulationDays(applied)} />
+              ) : lastUpdatedSection === 'sweep' ? (
+                <SweepPanel sweep={sweep} progress={sweepProgress} error={sweepError} parameterDefinitions={PARAMETER_DEFINITIONS} unitSystem={unitSystem} />
+              ) : (
+                <PlotPanel
+                  data={plotData}
+                  title={axisConfig.title}
+                  description={runInfo && formatRunInfo(runInfo)}
+                  xAxisLabel={axisConfig.x}
+                  yAxisLabel={axisConfig.y}
+                  subplots={['solarPanel', 'storageTank', 'backupHeater'].includes(lastUpdatedSection)}
+                  onExport={handleExportResults}
+                  caption={formatParameterCaption(lastUpdatedSection, applied, unitSystem)}
+                  unitSystem={unitSystem}
+                />
+              )}
+            </div>
           </div>
 
-          {/* Remarks Panel - 20% width */}
-          <div className="lg:col-span-2 min-h-0 flex flex-col">
-            <RemarksPanel activeSection={activeSection} />
+          {/* Project Library and Remarks Panel - 20% width */}
+          <div className="lg:col-span-2 min-h-0 flex flex-col gap-2">
+            <ProjectLibrary
+              projects={projects}
+              currentProjectId={currentProjectId}
+              defaultParameters={DEFAULT_PARAMETERS}
+              loadIssues={library.issues}
+              saveFailed={!librarySaved}
+              canSave={!hasErrors}
+              onSave={handleSaveProject}
+              onSaveAs={handleSaveProjectAs}
+              onLoad={handleLoadProject}
+              onRename={handleRenameProject}
+              onDuplicate={handleDuplicateProject}
+              onDelete={handleDeleteProject}
+              onImport={handleImportProject}
+            />
+            <div className="flex-1 min-h-0 flex flex-col">
+              <RemarksPanel activeSection={activeSection} />
+            </div>
           </div>
         </div>
 
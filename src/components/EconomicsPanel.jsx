@@ -0,0 +1,139 @@
+import React from 'react'
+import { Card, CardHeader, CardTitle, CardDescription, CardContent } from './ui/card'
+import { ResponsiveBar } from '@nivo/bar'
+
+const CUMULATIVE_KEY = 'Cumulative Cash Flow'
+const DISCOUNTED_KEY = 'Discounted Cumulative Cash Flow'
+
+const KEY_COLORS = {
+  [CUMULATIVE_KEY]: 'hsl(44, 100%, 50%)',
+  [DISCOUNTED_KEY]: 'hsl(210, 100%, 50%)',
+}
+
+// Format a number with a unit, or a dash when the result does not exist
+const formatValue = (value, digits, unit) => (value === null || !Number.isFinite(value)
+  ? '–'
+  : `${value.toLocaleString(undefined, { minimumFractionDigits: digits, maximumFractionDigits: digits })}${unit ? ` ${unit}` : ''}`)
+
+// Savings, payback, NPV, LCOH and avoided CO₂ with the cumulative cash flow per year
+export const EconomicsPanel = ({ economics, simulationDays }) => {
+  if (!economics) {
+    return null
+  }
+
+  const items = [
+    { label: 'Annual Savings (year 1)', value: formatValue(economics.firstYearSavings, 0, '€') },
+    { label: 'Simple Payback', value: formatValue(economics.simplePayback, 1, 'years') },
+    { label: 'Net Present Value', value: formatValue(economics.npv, 0, '€') },
+    { label: 'LCOH', value: formatValue(economics.lcoh, 3, '€/kWh') },
+    { label: 'Avoided CO₂', value: formatValue(economics.annualCo2, 0, 'kg/year') },
+    { label: 'Avoided CO₂ (lifetime)', value: formatValue(economics.lifetimeCo2 / 1000, 1, 't') },
+  ]
+
+  const data = economics.cashFlows.map((flow) => ({
+    year: String(flow.year),
+    [CUMULATIVE_KEY]: Math.round(flow.cumulative),
+    [DISCOUNTED_KEY]: Math.round(flow.cumulativeDiscounted),
+  }))
+
+  return (
+    <Card className="h-full flex flex-col min-h-0">
+      <CardHeader className="flex-shrink-0">
+        <CardTitle>Economics (Cumulative Cash Flow)</CardTitle>
+        <CardDescription>
+          {formatValue(economics.annualSolar, 0, 'kWh')} useful solar heat per year
+          {simulationDays < 365 && `, scaled from ${simulationDays} simulated day${simulationDays > 1 ? 's' : ''}`}
+          {' '}displacing {formatValue(economics.displacedEnergy, 0, 'kWh')} of fuel or electricity
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="flex-1 min-h-0 p-2 pt-0 flex flex-col gap-2">
+        <dl className="grid grid-cols-2 md:grid-cols-3 xl:grid-cols-6 gap-3 px-4">
+          {items.map(({ label, value }) => (
+            <div key={label}>
+              <dt className="text-xs text-muted-foreground">{label}</dt>
+              <dd className="text-lg font-semibold">{value}</dd>
+            </div>
+          ))}
+        </dl>
+        <div className="flex-1 min-h-[300px]">
+          <ResponsiveBar
+            data={data}
+            keys={[CUMULATIVE_KEY, DISCOUNTED_KEY]}
+            indexBy="year"
+            groupMode="grouped"
+            margin={{ top: 20, right: 200, bottom: 60, left: 80 }}
+            padding={0.2}
+            colors={({ id }) => KEY_COLORS[id]}
+            enableLabel={false}
+            markers={[
+              {
+                axis: 'y',
+                value: 0,
+                lineStyle: { stroke: 'hsl(var(--foreground))', strokeWidth: 1 },
+              },
+            ]}
+            axisBottom={{
+              tickSize: 5,
+              tickPadding: 5,
+              legend: 'Year',
+              legendOffset: 40,
+              legendPosition: 'middle',
+            }}
+            axisLeft={{
+              tickSize: 5,
+              tickPadding: 5,
+              legend: 'Cumulative Cash Flow (€)',
+              legendOffset: -65,
+              legendPosition: 'middle',
+            }}
+            legends={[
+              {
+                dataFrom: 'keys',
+                anchor: 'bottom-right',
+                direction: 'column',
+                translateX: 190,
+                itemWidth: 180,
+                itemHeight: 20,
+                itemOpacity: 0.75,
+                symbolSize: 12,
+              },
+            ]}
+            theme={{
+              text: {
+                fontSize: 12,
+                fill: 'hsl(var(--foreground))',
+              },
+              axis: {
+                domain: {
+                  line: {
+                    stroke: 'hsl(var(--border))',
+                  },
+                },
+                ticks: {
+                  line: {
+                    stroke: 'hsl(var(--border))',
+                    strokeWidth: 1,
+                  },
+                  text: {
+                    fill: 'hsl(var(--muted-foreground))',
+                  },
+                },
+                legend: {
+                  text: {
+                    fill: 'hsl(var(--foreground))',
+                  },
+                },
+              },
+              grid: {
+                line: {
+                  stroke: 'hsl(var(--border))',
+                  strokeWidth: 0.5,
+                },
+              },
+            }}
+          />
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
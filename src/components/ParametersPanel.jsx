@@ -5,19 +5,78 @@ import { Input } from './ui/input'
 import { Button } from './ui/button'
 import { Tooltip } from './ui/tooltip'
 import { RotateCcw, ChevronDown, Info } from 'lucide-react'
+import {
+  formatParameterLabel,
+  getParameterUnit,
+  isParameterVisible,
+  getDisplayUnit,
+  toDisplayValue,
+  fromDisplayValue,
+  toDisplayText,
+  fromDisplayText,
+  convertUnitLabel,
+  convertText,
+} from '../lib/simulations'
+
+// Parameters are stored in SI: numbers and number lists are shown in the selected unit system,
+// unreadable entries as typed
+const toDisplayParameter = (value, definition, unit, unitSystem) => {
+  if (typeof value === 'number') {
+    return toDisplayValue(value, unit, unitSystem)
+  }
+  return typeof definition.default === 'string' && !definition.options ? toDisplayText(value, unit, unitSystem) : value
+}
+
+// A typed number back in SI, as text for onParameterChange; anything unreadable is passed on as typed
+const toSiInput = (input, unit, unitSystem) => {
+  const value = input.trim() === '' ? NaN : Number(input)
+  return Number.isFinite(value) ? String(fromDisplayValue(value, unit, unitSystem)) : input
+}
+
+// Text field holding a list of numbers with a unit, e.g. the hourly draw table. What was typed is
+// kept while it still means the stored value, so converting back does not rewrite '1.0' as '1'.
+const ConvertedTextInput = ({ value, unit, unitSystem, onChange, ...props }) => {
+  const [draft, setDraft] = useState(null)
+  const shown = draft !== null && fromDisplayText(draft, unit, unitSystem) === value
+    ? draft
+    : toDisplayText(value, unit, unitSystem)
+
+  return (
+    <Input
+      {...props}
+      type="text"
+      value={shown}
+      onChange={(e) => {
+        setDraft(e.target.value)
+        onChange(fromDisplayText(e.target.value, unit, unitSystem))
+      }}
+    />
+  )
+}
+
+const formatParameterValue = (value, definition) => {
+  if (typeof value === 'number') {
+    return definition.integer ? String(value) : value.toFixed(2)
+  }
+  const option = definition.options?.find((o) => o.value === value)
+  return option ? option.label : value
+}
 
 export const ParametersPanel = ({
-  sections,
+  schema,
   parameters,
+  errors,
   onParameterChange,
   onUpdate,
   onReset,
   activeSection,
   onSectionChange,
   pendingUpdates,
-  defaultParameters,
-  parameterDescriptions,
+  unitSystem,
+  sectionExtras,
 }) => {
+  const errorCount = Object.keys(errors).length
+
   return (
     <Card className="h-full flex flex-col min-h-0">
       <CardHeader className="flex-shrink-0">
@@ -35,20 +94,22 @@ export const ParametersPanel = ({
         </div>
       </CardHeader>
       <CardContent className="flex-1 space-y-2 overflow-y-auto min-h-0">
-        {Object.entries(sections).map(([sectionId, section]) => (
+        {Object.entries(schema).map(([sectionId, section]) => (
           <ParameterSection
             key={sectionId}
             sectionId={sectionId}
             section={section}
-            sections={sections}
+            schema={schema}
             parameters={parameters}
+            errors={errors}
+            errorCount={errorCount}
             onParameterChange={onParameterChange}
             onUpdate={onUpdate}
             isActive={activeSection === sectionId}
             onToggle={(newId) => onSectionChange(newId)}
             hasPendingUpdates={pendingUpdates[sectionId]}
-            defaultParameters={defaultParameters}
-            parameterDescriptions={parameterDescriptions}
+            unitSystem={unitSystem}
+            extra={sectionExtras?.[sectionId]}
           />
         ))}
       </CardContent>
@@ -59,18 +120,21 @@ export const ParametersPanel = ({
 const ParameterSection = ({
   sectionId,
   section,
-  sections,
+  schema,
   parameters,
+  errors,
+  errorCount,
   onParameterChange,
   onUpdate,
   isActive,
   onToggle,
   hasPendingUpdates,
-  defaultParameters,
-  parameterDescriptions,
+  unitSystem,
+  extra,
 }) => {
   const contentRef = useRef(null)
   const [contentWidth, setContentWidth] = useState(0)
+  const sectionErrors = Object.keys(section.parameters).filter((key) => errors[key]).length
 
   React.useEffect(() => {
     if (contentRef.current && isActive) {
@@ -86,9 +150,14 @@ const ParameterSection = ({
         className="w-full px-4 py-3 bg-slate-700 hover:bg-slate-600 flex items-center justify-between transition-colors"
       >
         <span className="font-semibold text-white">{section.title}</span>
-        <ChevronDown
-          className={`w-5 h-5 transition-transform ${isActive ? 'rotate-0' : '-rotate-90'}`}
-        />
+        <span className="flex items-center gap-2">
+          {sectionErrors > 0 && (
+            <span className="text-xs text-red-400">{sectionErrors} invalid</span>
+          )}
+          <ChevronDown
+            className={`w-5 h-5 transition-transform ${isActive ? 'rotate-0' : '-rotate-90'}`}
+          />
+        </span>
       </button>
 
       {/* Section Content */}
@@ -100,7 +169,7 @@ const ParameterSection = ({
               <p className="text-xs text-slate-400 flex items-center gap-2">
                 <Info className="w-3 h-3 flex-shrink-0" />
                 <span>Also uses: {section.dependencies.map((depId, idx) => {
-                  const depSection = sections[depId]
+                  const depSection = schema[depId]
                   const title = depSection?.title || depId
                   return (
                     <React.Fragment key={depId}>
@@ -114,58 +183,99 @@ const ParameterSection = ({
               </p>
             </div>
           )}
-          
+
+          {/* Section-specific controls that are not plain parameters */}
+          {extra}
+
           {/* Parameters */}
           <div className="space-y-4">
-            {Object.entries(section.parameters).map(([paramKey]) => {
-              const value = parameters[paramKey]
-              const description = parameterDescriptions?.[paramKey]
+            {Object.entries(section.parameters).map(([paramKey, definition]) => {
+              const unit = getParameterUnit(definition, parameters)
+              const value = toDisplayParameter(parameters[paramKey], definition, unit, unitSystem)
+              const error = errors[paramKey]
+              const inputClassName = `w-full bg-slate-700 text-white ${error ? 'border-red-500' : 'border-slate-600'}`
+              if (!isParameterVisible(definition, parameters)) {
+                return null
+              }
               return (
                 <div key={paramKey} className="space-y-2">
                   <div className="flex items-center justify-between gap-2">
                     <div className="flex items-center gap-2 flex-1">
                       <Label htmlFor={paramKey} className="capitalize text-white">
-                        {description?.label || paramKey.replace(/([A-Z])/g, ' $1').trim()}
+                        {formatParameterLabel(definition, unitSystem, unit)}
                       </Label>
-                      {description && (
-                        <Tooltip content={description.description} tooltipWidth={contentWidth}>
-                          <Info className="w-4 h-4 text-slate-400 hover:text-slate-300 transition-colors" />
-                        </Tooltip>
-                      )}
+                      <Tooltip content={convertText(definition.description, unitSystem)} tooltipWidth={contentWidth}>
+                        <Info className="w-4 h-4 text-slate-400 hover:text-slate-300 transition-colors" />
+                      </Tooltip>
                     </div>
                     <span className="text-xs text-slate-400">
-                      {typeof value === 'number' ? value.toFixed(2) : value}
+                      {formatParameterValue(value, definition)}
                     </span>
                   </div>
-                  <Input
-                    id={paramKey}
-                    type="number"
-                    value={value}
-                    onChange={(e) => onParameterChange(paramKey, e.target.value)}
-                    step="0.1"
-                    className="w-full bg-slate-700 border-slate-600 text-white"
-                  />
-                  {defaultParameters && defaultParameters[paramKey] !== undefined && (
-                    <p className="text-xs text-slate-500">
-                      Default: {defaultParameters[paramKey].toFixed(2)}
-                    </p>
+                  {definition.options ? (
+                    <select
+                      id={paramKey}
+                      value={value}
+                      onChange={(e) => onParameterChange(paramKey, e.target.value)}
+                      className="flex h-10 w-full rounded-md border px-3 py-2 text-sm bg-slate-700 border-slate-600 text-white"
+                    >
+                      {definition.options.map((option) => (
+                        <option key={option.value} value={option.value}>
+                          {convertUnitLabel(option.label, unitSystem)}
+                        </option>
+                      ))}
+                    </select>
+                  ) : typeof definition.default === 'string' ? (
+                    <ConvertedTextInput
+                      id={paramKey}
+                      value={parameters[paramKey]}
+                      unit={unit}
+                      unitSystem={unitSystem}
+                      onChange={(input) => onParameterChange(paramKey, input)}
+                      aria-invalid={Boolean(error)}
+                      className={inputClassName}
+                    />
+                  ) : (
+                    <Input
+                      id={paramKey}
+                      type="number"
+                      value={value}
+                      onChange={(e) => onParameterChange(paramKey, toSiInput(e.target.value, unit, unitSystem))}
+                      min={toDisplayParameter(definition.min, definition, unit, unitSystem)}
+                      max={toDisplayParameter(definition.max, definition, unit, unitSystem)}
+                      // Steps are chosen for SI values, converted values step freely
+                      step={getDisplayUnit(unit, unitSystem) === unit ? definition.step ?? 'any' : 'any'}
+                      aria-invalid={Boolean(error)}
+                      className={inputClassName}
+                    />
                   )}
+                  {error && (
+                    <p className="text-xs text-red-400">{error}</p>
+                  )}
+                  <p className="text-xs text-slate-500">
+                    Default: {formatParameterValue(toDisplayParameter(definition.default, definition, unit, unitSystem), definition)}
+                  </p>
                 </div>
               )
             })}
           </div>
 
-          {/* Update Button */}
+          {/* Update Button, blocked while any parameter in any section is invalid */}
+          {errorCount > 0 && (
+            <p className="text-xs text-red-400">
+              {errorCount === 1 ? '1 parameter is' : `${errorCount} parameters are`} invalid. Correct {errorCount === 1 ? 'it' : 'them'} to update the plot.
+            </p>
+          )}
           <Button
             onClick={() => onUpdate(sectionId)}
-            disabled={!hasPendingUpdates}
+            disabled={!hasPendingUpdates || errorCount > 0}
             className={`w-full ${
-              hasPendingUpdates
+              hasPendingUpdates && errorCount === 0
                 ? 'bg-blue-600 hover:bg-blue-700 text-white'
                 : 'bg-slate-600 text-slate-400 cursor-not-allowed'
             }`}
           >
-            {hasPendingUpdates ? 'Update Plot' : 'Updated'}
+            {errorCount > 0 ? 'Invalid Parameters' : hasPendingUpdates ? 'Update Plot' : 'Updated'}
           </Button>
         </div>
       )}
@@ -0,0 +1,52 @@
+import React from 'react'
+import { Card, CardHeader, CardTitle, CardContent } from './ui/card'
+import { getDisplayUnit, toDisplayValue } from '../lib/simulations'
+
+// Format a number with a unit, or a dash when the indicator does not apply
+const formatValue = (value, digits, unit) => (value === null || value === undefined || !Number.isFinite(value)
+  ? '–'
+  : `${value.toFixed(digits)}${unit ? ` ${unit}` : ''}`)
+
+const formatPercent = (value) => (value === null ? '–' : `${(value * 100).toFixed(1)} %`)
+
+// Key performance indicators of the last run, from getPerformanceIndicators
+export const PerformanceSummary = ({ indicators, unitSystem = 'si' }) => {
+  if (!indicators) {
+    return null
+  }
+
+  // Energies stay in kWh in either unit system, temperatures follow it
+  const formatTemperature = (value) => formatValue(
+    Number.isFinite(value) ? toDisplayValue(value, '°C', unitSystem) : value,
+    1,
+    getDisplayUnit('°C', unitSystem)
+  )
+
+  const items = [
+    { label: 'Irradiation on Collector', value: formatValue(indicators.irradiation, 2, 'kWh') },
+    { label: 'Useful Solar Gain', value: formatValue(indicators.usefulGain, 2, 'kWh') },
+    { label: 'Tank Losses', value: formatValue(indicators.tankLosses, 2, 'kWh') },
+    { label: 'Collector Efficiency', value: formatPercent(indicators.collectorEfficiency) },
+    { label: 'Peak Tank Temperature', value: formatTemperature(indicators.peakTankTemp) },
+    { label: 'Final Tank Temperature', value: formatTemperature(indicators.finalTankTemp) },
+    { label: 'Solar Fraction', value: formatPercent(indicators.solarFraction) },
+  ]
+
+  return (
+    <Card className="flex-shrink-0">
+      <CardHeader className="py-3">
+        <CardTitle className="text-base">Performance Summary</CardTitle>
+      </CardHeader>
+      <CardContent className="pb-3">
+        <dl className="grid grid-cols-2 md:grid-cols-4 xl:grid-cols-7 gap-3">
+          {items.map(({ label, value }) => (
+            <div key={label}>
+              <dt className="text-xs text-muted-foreground">{label}</dt>
+              <dd className="text-lg font-semibold">{value}</dd>
+            </div>
+          ))}
+        </dl>
+      </CardContent>
+    </Card>
+  )
+}
@@ -1,11 +1,72 @@
-import React from 'react'
-import { Card, CardHeader, CardTitle, CardContent } from './ui/card'
+import React, { useState, useRef } from 'react'
+import { Card, CardHeader, CardTitle, CardDescription, CardContent } from './ui/card'
+import { Button } from './ui/button'
 import { ResponsiveLine } from '@nivo/line'
+import { Download, Image } from 'lucide-react'
+import { composeChartSvg, svgToPng } from '../lib/chartImage'
+import { convertSeries, convertUnitLabel } from '../lib/simulations'
+import { downloadFile, toFileName } from '../lib/utils'
+
+// Time series longer than this many hours are displayed in days
+const DAYS_AXIS_THRESHOLD_HOURS = 72
+
+// Above this many points per series, point markers are hidden to keep the chart readable
+const MAX_POINTS_WITH_MARKERS = 200
+
+/**
+ * Switch a time axis from hours to days for multi-day results
+ * Simulations always report time in hours; only the displayed x values and label change.
+ * Series with their own xLabel are not plotted against time and are left untouched.
+ */
+const resolveTimeAxis = (series, xAxisLabel) => {
+  const maxX = Math.max(0, ...series.filter(s => !s.xLabel).flatMap(s => s.data.map(p => p.x)))
+  if (!xAxisLabel.startsWith('Time') || maxX <= DAYS_AXIS_THRESHOLD_HOURS) {
+    return { series, xAxisLabel }
+  }
+  return {
+    series: series.map(s => s.xLabel ? s : ({
+      ...s,
+      data: s.data.map(p => ({ ...p, x: parseFloat((p.x / 24).toFixed(3)) })),
+    })),
+    xAxisLabel: 'Time (days)',
+  }
+}
+
+const getPointSize = (series, size) => {
+  const maxPoints = Math.max(0, ...series.map(s => s.data.length))
+  return maxPoints > MAX_POINTS_WITH_MARKERS ? 0 : size
+}
+
+// Dash pattern of a series: its own line style (overlaid scenarios), else dashed for reference curves
+const getDashArray = (seriesDef) => seriesDef?.dashArray || (seriesDef?.dashed ? '5,5' : undefined)
+
+// Replaces nivo's lines layer so every series is drawn with its own dash pattern
+const createStyledLinesLayer = (dataArray, lineWidth) => {
+  const StyledLines = ({ series, lineGenerator }) => (
+    <g>
+      {series.slice(0).reverse().map((seriesItem) => (
+        <path
+          key={seriesItem.id}
+          d={lineGenerator(seriesItem.data.map(d => d.position))}
+          fill="none"
+          stroke={seriesItem.color}
+          strokeWidth={lineWidth}
+          strokeDasharray={getDashArray(dataArray.find(s => s.id === seriesItem.id))}
+        />
+      ))}
+    </g>
+  )
+  return StyledLines
+}
 
 const ChartComponent = ({ series, xAxisLabel, yAxisLabel, chartLabel }) => {
   // Handle both single series and array of series
   const dataArray = Array.isArray(series) ? series : [series]
   const titleLabel = chartLabel || (Array.isArray(series) ? series.map(s => s.id).join(' & ') : series.id)
+  // Series plotted against something other than time carry their own x axis label
+  const bottomLabel = dataArray[0]?.xLabel || xAxisLabel
+  // On/off signals are drawn as steps instead of smoothed curves
+  const curve = dataArray.every(s => s.step) ? 'stepAfter' : 'monotoneX'
 
   return (
     <ResponsiveLine
@@ -20,7 +81,7 @@ const ChartComponent = ({ series, xAxisLabel, yAxisLabel, chartLabel }) => {
         reverse: false,
       }}
       yFormat=" >-.2f"
-      curve="monotoneX"
+      curve={curve}
       axisTop={null}
       axisRight={null}
       axisBottom={{
@@ -28,7 +89,7 @@ const ChartComponent = ({ series, xAxisLabel, yAxisLabel, chartLabel }) => {
         tickSize: 5,
         tickPadding: 5,
         tickRotation: 0,
-        legend: xAxisLabel,
+        legend: bottomLabel,
         legendOffset: 36,
         legendPosition: 'middle',
       }}
@@ -42,7 +103,7 @@ const ChartComponent = ({ series, xAxisLabel, yAxisLabel, chartLabel }) => {
         legendPosition: 'middle',
       }}
       lineWidth={3}
-      pointSize={6}
+      pointSize={getPointSize(dataArray, 6)}
       pointColor={{ theme: 'background' }}
       pointBorderWidth={2}
       pointBorderColor={{ from: 'serieColor' }}
@@ -112,44 +173,7 @@ const ChartComponent = ({ series, xAxisLabel, yAxisLabel, chartLabel }) => {
         'markers',
         'axes',
         'areas',
-        ({ points, xScale, yScale, series: seriesData }) => {
-          return (
-            <g>
-              {seriesData.map((seriesItem) => {
-                const hasPoints = points.filter(p => p.seriesId === seriesItem.id)
-                const seriesDef = dataArray.find(s => s.id === seriesItem.id)
-                
-                if (hasPoints.length < 2 || !seriesDef?.dashed) {
-                  return null
-                }
-
-                return (
-                  <g key={seriesItem.id}>
-                    {hasPoints.map((point, i) => {
-                      if (i === 0) return null
-                      const prev = hasPoints[i - 1]
-                      return (
-                        <line
-                          key={`${seriesItem.id}-${i}`}
-                          x1={prev.x}
-                          y1={prev.y}
-                          x2={point.x}
-                          y2={point.y}
-                          stroke={point.color}
-                          strokeWidth={3}
-                          strokeDasharray="5,5"
-                          fill="none"
-                          pointerEvents="none"
-                        />
-                      )
-                    })}
-                  </g>
-                )
-              })}
-            </g>
-          )
-        },
-        'lines',
+        createStyledLinesLayer(dataArray, 3),
         'slices',
         'points',
         'mesh',
@@ -159,9 +183,71 @@ const ChartComponent = ({ series, xAxisLabel, yAxisLabel, chartLabel }) => {
   )
 }
 
-export const PlotPanel = ({ data, title = "Simulation Results", xAxisLabel = "Time (hours)", yAxisLabel = "Value", subplots = false }) => {
+// Download the result set as CSV or JSON, at the plotted interval or every integration step
+const ExportControls = ({ onExport }) => {
+  const [fullResolution, setFullResolution] = useState(false)
+
+  return (
+    <div className="flex items-center gap-2 flex-shrink-0">
+      <label className="flex items-center gap-1 text-xs text-muted-foreground cursor-pointer" title="Export every integration step instead of the plotted sampling interval">
+        <input type="checkbox" checked={fullResolution} onChange={(e) => setFullResolution(e.target.checked)} />
+        Full resolution
+      </label>
+      {['csv', 'json'].map((format) => (
+        <Button key={format} variant="outline" size="sm" onClick={() => onExport(format, fullResolution)} className="gap-1">
+          <Download className="w-4 h-4" />
+          {format.toUpperCase()}
+        </Button>
+      ))}
+    </div>
+  )
+}
+
+// Save the charts as a print-ready SVG or PNG image, optionally captioned with the key parameters
+const ImageExportControls = ({ onExportImage, caption }) => {
+  const [withCaption, setWithCaption] = useState(true)
+
+  return (
+    <div className="flex items-center gap-2 flex-shrink-0">
+      {caption && (
+        <label className="flex items-center gap-1 text-xs text-muted-foreground cursor-pointer" title={caption}>
+          <input type="checkbox" checked={withCaption} onChange={(e) => setWithCaption(e.target.checked)} />
+          Parameter caption
+        </label>
+      )}
+      {['svg', 'png'].map((format) => (
+        <Button key={format} variant="outline" size="sm" onClick={() => onExportImage(format, withCaption ? caption : null)} className="gap-1">
+          <Image className="w-4 h-4" />
+          {format.toUpperCase()}
+        </Button>
+      ))}
+    </div>
+  )
+}
+
+// Title, description and the export actions above the charts, with the error of a failed image export
+const PlotHeader = ({ title, description, onExport, onExportImage, caption, exportError }) => (
+  <CardHeader className="flex-shrink-0 flex-row items-start justify-between gap-4 space-y-0">
+    <div className="space-y-1.5">
+      <CardTitle>{title}</CardTitle>
+      {description && <CardDescription>{description}</CardDescription>}
+      {exportError && <p className="text-xs text-red-400">{exportError}</p>}
+    </div>
+    <div className="flex flex-wrap justify-end gap-x-4 gap-y-2">
+      {onExport && <ExportControls onExport={onExport} />}
+      <ImageExportControls onExportImage={onExportImage} caption={caption} />
+    </div>
+  </CardHeader>
+)
+
+export const PlotPanel = ({ data, title = "Simulation Results", description, xAxisLabel: timeAxisLabel = "Time (hours)", yAxisLabel: siAxisLabel = "Value", subplots = false, onExport, caption, unitSystem = 'si' }) => {
+  const chartsRef = useRef(null)
+  const [exportError, setExportError] = useState(null)
+
   // Default data if none provided
-  const displayData = data && data.length > 0 ? data : [
+  // Results arrive in SI and are converted to the selected unit system for display only
+  const yAxisLabel = convertUnitLabel(siAxisLabel, unitSystem)
+  const inputData = data && data.length > 0 ? convertSeries(data, unitSystem) : [
     {
       id: "Simulation",
       color: "hsl(210, 100%, 50%)",
@@ -180,6 +266,25 @@ export const PlotPanel = ({ data, title = "Simulation Results", xAxisLabel = "Ti
       ],
     },
   ]
+  const { series: displayData, xAxisLabel } = resolveTimeAxis(inputData, timeAxisLabel)
+
+  // Every chart on screen (all subplots), light-themed under the plot title
+  const handleExportImage = async (format, imageCaption) => {
+    const charts = [...chartsRef.current.querySelectorAll('svg')].filter((svg) => !svg.parentElement.closest('svg'))
+    const { svg, width, height } = composeChartSvg(charts, { title, caption: imageCaption })
+    const fileName = toFileName(title, format)
+    if (format === 'svg') {
+      downloadFile(svg, fileName, 'image/svg+xml')
+      setExportError(null)
+      return
+    }
+    try {
+      downloadFile(await svgToPng(svg, width, height), fileName)
+      setExportError(null)
+    } catch (err) {
+      setExportError(`PNG export failed: ${err.message}`)
+    }
+  }
 
   if (subplots && displayData.length > 1) {
     // Group series: handle both solar panel and storage tank layouts
@@ -191,47 +296,92 @@ export const PlotPanel = ({ data, title = "Simulation Results", xAxisLabel = "Ti
     
     if (isStorageTank) {
       // Storage Tank layout: Energy Balance (Heat In + Heat Loss + Net Energy), Tank Temperature (Tank Temp + Ambient Temp)
-      const heatInSeries = displayData.find(s => s.id.includes('Heat In'))
-      const heatLossSeries = displayData.find(s => s.id.includes('Heat Loss'))
-      const tankTempSeries = displayData.find(s => s.id.includes('Tank Temperature'))
-      const ambientTempSeries = displayData.find(s => s.id.includes('Ambient Temperature'))
-      
+      const timeSeries = displayData.filter(s => !s.aggregate)
+      // Every series matching a name, once per overlaid scenario
+      const findSeries = (name) => timeSeries.filter(s => s.id.includes(name))
+
       // Create a copy of series to avoid mutating original data
-      const energyBalanceGroup = [
-        heatInSeries && { ...heatInSeries },
-        heatLossSeries && { ...heatLossSeries },
-      ].filter(Boolean)
-      
-      const tankTempGroup = [
-        tankTempSeries && { ...tankTempSeries },
-        ambientTempSeries && { ...ambientTempSeries }
-      ].filter(Boolean)
+      const energyBalanceGroup = ['Heat In', 'Heat Loss', 'Auxiliary Heat', 'Hot Water Draw']
+        .flatMap(findSeries)
+        .map(s => ({ ...s }))
+
+      const tankTempGroup = ['Tank Temperature', 'Collector Outlet', 'Ambient Temperature']
+        .flatMap(findSeries)
+        .map(s => ({ ...s }))
       
-      subplotGroups = [energyBalanceGroup, tankTempGroup].filter(group => group.length > 0)
-      subplotLabels = ['Energy Balance', 'Tank Temperature']
+      // Pump state on its own axis, runtime and electricity as running totals
+      const pumpStateGroup = timeSeries.filter(s => s.id.includes('Pump State')).map(s => ({ ...s }))
+      const pumpUsageGroup = timeSeries
+        .filter(s => s.id.includes('Pump Runtime') || s.id.includes('Pump Electricity'))
+        .map(s => ({ ...s }))
+
+      // Cumulative heat from the collector next to the backup heater
+      const energySplitGroup = timeSeries
+        .filter(s => ['Solar Energy (kWh)', 'Auxiliary Energy (kWh)'].includes(s.baseId || s.id))
+        .map(s => ({ ...s }))
+
+      // Stratified tank: one series per layer
+      const layerGroup = timeSeries.filter(s => s.layer !== undefined).map(s => ({ ...s }))
+
+      // Cumulative delivered hot water and unmet demand
+      const hotWaterGroup = timeSeries
+        .filter(s => s.id.includes('Delivered') || s.id.includes('Unmet'))
+        .map(s => ({ ...s }))
+
+      // Per-day aggregates are only worth a chart once there is more than one day
+      const dailySeries = displayData.filter(s => s.aggregate === 'daily' && s.data.length > 1)
+      const dailyTempGroup = dailySeries.filter(s => s.id.includes('Temp'))
+      const dailyEnergyGroup = dailySeries.filter(s => s.id.includes('Energy'))
+
+      const labelledGroups = [
+        [energyBalanceGroup, 'Energy Balance'],
+        [pumpStateGroup, 'Pump'],
+        [pumpUsageGroup, 'Pump Usage'],
+        [tankTempGroup, 'Tank Temperature'],
+        [layerGroup, 'Tank Stratification'],
+        [energySplitGroup, 'Solar vs Auxiliary Energy'],
+        [hotWaterGroup, 'Hot Water'],
+        [dailyTempGroup, 'Daily Tank Temperature'],
+        [dailyEnergyGroup, 'Daily Energy'],
+      ].filter(([group]) => group.length > 0)
+
+      subplotGroups = labelledGroups.map(([group]) => group)
+      subplotLabels = labelledGroups.map(([, label]) => label)
     } else {
-      // Solar Panel layout: combine first two if the second is dashed (Ambient Temperature)
-      const hasAmbientTemp = displayData.length > 1 && displayData[1]?.dashed
-      subplotGroups = hasAmbientTemp 
-        ? [
-            [displayData[0], displayData[1]], // Panel Temp + Ambient Temp
-            [displayData[2]], // Efficiency
-            ...(displayData[3] ? [[displayData[3]]] : []), // Heat Output
-          ]
-        : displayData.map(s => [s])
-      subplotLabels = hasAmbientTemp
-        ? ['Panel Temperature', 'Efficiency', ...(displayData[3] ? ['Heat Output'] : [])]
-        : displayData.map(s => s.id)
+      // Solar Panel layout: all temperatures (panel, equilibrium, ambient) share one chart
+      const timeSeries = displayData.filter(s => !s.xLabel)
+      const curveSeries = displayData.filter(s => s.xLabel)
+      const temperatureGroup = timeSeries.filter(s => s.id.includes('Temperature'))
+      const otherSeries = timeSeries.filter(s => !s.id.includes('Temperature'))
+      // Chart titles by quantity, in whatever unit it is shown
+      const otherLabels = {
+        'Panel Efficiency': 'Efficiency',
+        'Heat Output': 'Heat Output',
+      }
+      // One chart per quantity, shared by the overlaid scenarios
+      const otherIds = [...new Set(otherSeries.map(s => s.baseId || s.id))]
+      subplotGroups = [
+        ...(temperatureGroup.length > 0 ? [temperatureGroup] : []),
+        ...otherIds.map(id => otherSeries.filter(s => (s.baseId || s.id) === id)),
+      ]
+      subplotLabels = [
+        ...(temperatureGroup.length > 0 ? ['Panel Temperature'] : []),
+        ...otherIds.map(id => otherLabels[id.replace(/ \([^)]*\)$/, '')] || id),
+      ]
+
+      // Rated collector efficiency curve against the reduced temperature difference
+      if (curveSeries.length > 0) {
+        subplotGroups.push(curveSeries)
+        subplotLabels.push('Efficiency Curve (%)')
+      }
     }
     
     const totalHeight = subplotGroups.length * 320
 
     return (
       <Card className="h-full flex flex-col min-h-0">
-        <CardHeader className="flex-shrink-0">
-          <CardTitle>{title}</CardTitle>
-        </CardHeader>
-        <CardContent className="flex-1 min-h-0 p-2 pt-0 overflow-y-auto">
+        <PlotHeader title={title} description={description} onExport={onExport} onExportImage={handleExportImage} caption={caption} exportError={exportError} />
+        <CardContent ref={chartsRef} className="flex-1 min-h-0 p-2 pt-0 overflow-y-auto">
           <div className="grid grid-cols-1 gap-2 w-full" style={{ minHeight: `${totalHeight}px` }}>
             {subplotGroups.map((group, idx) => (
               <div key={idx} className="w-full" style={{ height: '300px' }}>
@@ -251,14 +401,12 @@ export const PlotPanel = ({ data, title = "Simulation Results", xAxisLabel = "Ti
 
   return (
     <Card className="h-full flex flex-col min-h-0">
-      <CardHeader className="flex-shrink-0">
-        <CardTitle>{title}</CardTitle>
-      </CardHeader>
-      <CardContent className="flex-1 min-h-0 p-2 pt-0">
+      <PlotHeader title={title} description={description} onExport={onExport} onExportImage={handleExportImage} caption={caption} exportError={exportError} />
+      <CardContent ref={chartsRef} className="flex-1 min-h-0 p-2 pt-0">
         <div className="w-full h-full">
           <ResponsiveLine
             data={displayData}
-            margin={{ top: 10, right: 130, bottom: 60, left: 60 }}
+            margin={{ top: 10, right: 160, bottom: 60, left: 60 }}
             xScale={{ type: 'linear' }}
             yScale={{
               type: 'linear',
@@ -290,22 +438,33 @@ export const PlotPanel = ({ data, title = "Simulation Results", xAxisLabel = "Ti
               legendPosition: 'middle',
             }}
             lineWidth={3}
-            pointSize={8}
+            pointSize={getPointSize(displayData, 8)}
             pointColor={{ theme: 'background' }}
             pointBorderWidth={2}
             pointBorderColor={{ from: 'serieColor' }}
             pointLabelYOffset={-12}
             useMesh={true}
+            layers={[
+              'grid',
+              'markers',
+              'axes',
+              'areas',
+              createStyledLinesLayer(displayData, 3),
+              'points',
+              'slices',
+              'mesh',
+              'legends',
+            ]}
             legends={[
               {
                 anchor: 'bottom-right',
                 direction: 'column',
                 justify: false,
-                translateX: 100,
+                translateX: 130,
                 translateY: 0,
                 itemsSpacing: 0,
                 itemDirection: 'left-to-right',
-                itemWidth: 80,
+                itemWidth: 120,
                 itemHeight: 20,
                 itemOpacity: 0.75,
                 symbolSize: 12,
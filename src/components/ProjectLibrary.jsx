@@ -0,0 +1,177 @@
+import React, { useState, useRef } from 'react'
+import { Card, CardHeader, CardTitle, CardContent } from './ui/card'
+import { Button } from './ui/button'
+import { Input } from './ui/input'
+import { Save, Upload, Download, Copy, Pencil, Trash2 } from 'lucide-react'
+import { importProject, exportProject } from '../lib/simulations'
+import { downloadFile, toFileName } from '../lib/utils'
+
+// What reading a project changed, so nothing is dropped or replaced silently
+const describeReport = (report) => [
+  report.migratedFrom !== null && `Migrated from version ${report.migratedFrom}.`,
+  report.unknown.length > 0 && `Unknown parameters, ignored: ${report.unknown.join(', ')}.`,
+  report.missing.length > 0 && `Missing parameters, defaults used: ${report.missing.join(', ')}.`,
+  report.invalid.length > 0 && `Invalid values, defaults used: ${report.invalid.join(', ')}.`,
+].filter(Boolean)
+
+const ImportReport = ({ name, report }) => {
+  const lines = describeReport(report)
+
+  return (
+    <div className="text-xs text-slate-400 space-y-1">
+      <p>Imported {name}{lines.length === 0 && ' with every parameter.'}</p>
+      {lines.map((line) => <p key={line} className="text-amber-400 break-words">{line}</p>)}
+    </div>
+  )
+}
+
+// Projects the saved library could not read, or read with changes
+const LoadReport = ({ issues, onDismiss }) => (
+  <div className="text-xs text-slate-400 space-y-1">
+    <div className="flex items-center justify-between">
+      <p>Loading the saved projects:</p>
+      <button type="button" onClick={onDismiss} className="text-slate-400 hover:text-white">Dismiss</button>
+    </div>
+    {issues.map(({ name, report, error }, idx) => (
+      <div key={idx}>
+        <p>{name}</p>
+        {error
+          ? <p className="text-red-400 break-words">{error}</p>
+          : describeReport(report).map((line) => <p key={line} className="text-amber-400 break-words">{line}</p>)}
+      </div>
+    ))}
+  </div>
+)
+
+// Named configurations saved in this browser, with JSON project file import and export;
+// saving is disabled while canSave is false, e.g. with invalid inputs
+export const ProjectLibrary = ({ projects, currentProjectId, defaultParameters, loadIssues = [], saveFailed, canSave = true, onSave, onSaveAs, onLoad, onRename, onDuplicate, onDelete, onImport }) => {
+  const inputRef = useRef(null)
+  const [name, setName] = useState('')
+  const [renaming, setRenaming] = useState(null)
+  const [imported, setImported] = useState(null)
+  const [error, setError] = useState(null)
+  const [showLoadIssues, setShowLoadIssues] = useState(true)
+  const currentProject = projects.find((project) => project.id === currentProjectId)
+
+  const handleSaveAs = () => {
+    if (!canSave) {
+      return
+    }
+    onSaveAs(name.trim() || `Project ${projects.length + 1}`)
+    setName('')
+  }
+
+  const handleRename = () => {
+    if (renaming.name.trim()) {
+      onRename(renaming.id, renaming.name.trim())
+    }
+    setRenaming(null)
+  }
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0]
+    if (!file) {
+      return
+    }
+    try {
+      const { project, report } = importProject(await file.text(), defaultParameters)
+      onImport(project)
+      setImported({ name: project.name, report })
+      setError(null)
+    } catch (err) {
+      setImported(null)
+      setError(`Could not import ${file.name}: ${err.message}`)
+    }
+    // Allow importing the same file again
+    e.target.value = ''
+  }
+
+  return (
+    <Card className="flex-shrink-0 bg-slate-900 border-slate-700">
+      <CardHeader className="py-3">
+        <CardTitle className="text-base text-white">
+          Projects{currentProject && <span className="font-normal text-slate-400"> · {currentProject.name}</span>}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="pb-3 space-y-3">
+        <div className="flex gap-2">
+          <Input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleSaveAs()}
+            placeholder={`Project ${projects.length + 1}`}
+            className="h-9 bg-slate-700 border-slate-600 text-white"
+          />
+          <Button
+            size="sm"
+            onClick={handleSaveAs}
+            disabled={!canSave}
+            title={canSave ? 'Save the current parameters as a new project' : 'Fix the invalid parameters before saving'}
+          >
+            Save As
+          </Button>
+        </div>
+        <div className="flex gap-2">
+          {currentProject && (
+            <Button size="sm" variant="outline" onClick={onSave} disabled={!canSave} className="flex-1 gap-2 bg-slate-700 border-slate-600 text-white hover:bg-slate-600">
+              <Save className="w-4 h-4" />
+              Save
+            </Button>
+          )}
+          <input ref={inputRef} type="file" accept=".json,application/json" onChange={handleFileChange} className="hidden" />
+          <Button
+            size="sm"
+            variant="outline"
+            onClick={() => inputRef.current?.click()}
+            className="flex-1 gap-2 bg-slate-700 border-slate-600 text-white hover:bg-slate-600"
+          >
+            <Upload className="w-4 h-4" />
+            Import JSON
+          </Button>
+        </div>
+        {projects.length > 0 && (
+          <ul className="space-y-1 max-h-48 overflow-y-auto">
+            {projects.map((project) => (
+              <li
+                key={project.id}
+                className={`flex items-center gap-1 rounded-md px-2 py-1 text-sm text-white ${project.id === currentProjectId ? 'bg-slate-700' : 'hover:bg-slate-800'}`}
+              >
+                {renaming?.id === project.id ? (
+                  <Input
+                    autoFocus
+                    value={renaming.name}
+                    onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                    onKeyDown={(e) => e.key === 'Enter' && handleRename()}
+                    onBlur={handleRename}
+                    className="h-7 bg-slate-700 border-slate-600 text-white"
+                  />
+                ) : (
+                  <button type="button" onClick={() => onLoad(project.id)} className="flex-1 min-w-0 truncate text-left" title={`Open ${project.name}`}>
+                    {project.name}
+                  </button>
+                )}
+                <button type="button" onClick={() => setRenaming({ id: project.id, name: project.name })} className="p-1 text-slate-400 hover:text-white" aria-label={`Rename ${project.name}`}>
+                  <Pencil className="w-3 h-3" />
+                </button>
+                <button type="button" onClick={() => onDuplicate(project.id)} className="p-1 text-slate-400 hover:text-white" aria-label={`Duplicate ${project.name}`}>
+                  <Copy className="w-3 h-3" />
+                </button>
+                <button type="button" onClick={() => downloadFile(exportProject(project), toFileName(project.name, 'json'), 'application/json')} className="p-1 text-slate-400 hover:text-white" aria-label={`Export ${project.name}`}>
+                  <Download className="w-3 h-3" />
+                </button>
+                <button type="button" onClick={() => onDelete(project.id)} className="p-1 text-slate-400 hover:text-red-400" aria-label={`Delete ${project.name}`}>
+                  <Trash2 className="w-3 h-3" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+        {showLoadIssues && loadIssues.length > 0 && <LoadReport issues={loadIssues} onDismiss={() => setShowLoadIssues(false)} />}
+        {imported && <ImportReport name={imported.name} report={imported.report} />}
+        {saveFailed && <p className="text-xs text-red-400">Could not save the library in this browser. Export projects to keep them.</p>}
+        {error && <p className="text-xs text-red-400">{error}</p>}
+      </CardContent>
+    </Card>
+  )
+}
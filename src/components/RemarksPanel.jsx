@@ -14,8 +14,77 @@ Global parameters that affect all simulations in the system.
 These are the ambient and baseline parameters used across all simulations. They define the overall environmental conditions and base settings for the physics calculations.
 
 ### Key Parameters
-- **Ambient Temperature**: Surrounding air temperature (°C) used for calculating heat loss from panel and tank to environment
-- **Mass Flow Rate**: Rate of fluid circulation through the solar panel (kg/s). Higher flow rates increase heat transfer but require more pump power
+- **Ambient Temperature**: Surrounding air temperature (°C) used for calculating heat loss from panel and tank to environment, either constant or a daily cycle
+- **Mass Flow Rate**: Rate of fluid circulation through the collector loop (kg/s). Higher flow rates increase heat transfer but require more pump power. 0 disables the loop model
+- **Loop Fluid Heat Capacity**: Specific heat of the collector fluid (J/kg·K), water or a glycol mixture
+- **Pump Control**: Always on in daylight, or a differential thermostat with turn-on/turn-off ΔT and an optional tank high limit
+- **Pump Power**: Electrical power of the circulation pump (W), used to report pump electricity
+- **Simulation Horizon**: Number of days simulated (1-365)
+- **Integration Method / Timestep / Output Interval**: Accuracy against speed of the run, 0 for automatic timestep and interval
+- **Weather Source**: Synthetic irradiance and constant ambient temperature, or an imported weather file
+
+### Diurnal Ambient Temperature
+The daily cycle is a two-piece cosine between the daily minimum at \`ambientMinHour\` and the maximum at \`ambientMaxHour\`:
+
+**T = T_min + (T_max - T_min) × (1 - cos(π × f)) / 2**
+
+where f runs from 0 to 1 while warming and back from 1 to 0 while cooling towards the next minimum. Panel losses, tank losses and the dashed Ambient Temperature series all follow it.
+
+### Weather Files
+Import an **EPW** (EnergyPlus), **TMY3** or simple **CSV** file. It is parsed in the browser, nothing is uploaded.
+- EPW and TMY3 provide the site latitude, longitude and time zone, which replace the Solar Irradiance settings
+- CSV needs a header row with \`timestamp\`, \`ghi\`, \`dni\`, \`dhi\`, \`temp\` (dry-bulb, °C) and \`wind_speed\` columns; timestamps as \`YYYY-MM-DD HH:MM\` local time or hours since 1 January
+- Hourly values are linearly interpolated to the simulation timestep, starting at the selected day of year
+- Measured GHI, DNI and DHI replace the irradiance model; the dry-bulb temperature replaces the constant ambient temperature for panel and tank losses
+- Until a file is loaded, the Weather File source runs on synthetic weather, so its ambient temperature settings stay visible and are checked
+
+### Input Checks
+Every parameter has a valid range, and some must be whole numbers. A few also depend on each other: the cosine irradiance hours need start < peak < end, the daily maximum temperature may not be below the minimum, the pump turn-off ΔT must be below the turn-on ΔT and the delivery temperature above the mains temperature. An empty or out-of-range field is marked red with the reason, its section header counts the invalid fields, and **Update** stays disabled until everything is valid; the plot keeps showing the last valid result meanwhile.
+
+### Units
+**SI** and **US** in the header switch what the parameters, tooltips, plots, sweep results and performance summary are shown in: °F instead of °C (temperature differences too), gallons instead of litres, ft² instead of m², BTU/h instead of W, and the derived units of the loss coefficients and heat capacities, including the reduced temperature difference (h·ft²·°F/BTU) and irradiance levels of the collector efficiency curves. Energies stay in kWh. The simulation itself always runs in SI and values typed in US units are converted on entry, so links, projects and CSV/JSON exports are always in SI whichever setting is active. The choice is remembered in this browser.
+
+### One System Run
+Ambient, irradiance, collector loop and storage tank are component models stepped together on a common clock. Each publishes typed result channels with units, and the Solar Irradiance, Solar Panel and Storage Tank plots are views of the same run, so they always agree.
+
+Edits do not run anything by themselves: **Update** in any section runs the system once with every edited parameter, and sections with edits not yet run are marked. Loading a project or resetting runs right away.
+
+### Scenarios
+**Save Current** stores the current parameters under a name. Tick saved scenarios to overlay them on the time series plots: the current parameters are drawn solid and each scenario in its own dash pattern, with the scenario name in brackets in the legend. A table lists every parameter whose value differs between the current parameters and the selected scenarios. Scenarios are kept until the page is reloaded.
+
+### Sharing
+The address bar always links to what is on screen: every parameter that differs from its default, the open section and the plotted section are kept in the part of the URL after \`#\`. **Copy Link** copies it; opening the link restores the configuration, with defaults for anything not in it. Imported weather files are not part of the link.
+
+### Projects
+The **Projects** library keeps named configurations in this browser across page reloads. **Save As** stores the current parameters as a new project and **Save** updates the open one; each project can be renamed, duplicated, exported or deleted.
+
+Exported projects are JSON files with a \`format\`, a \`version\`, a \`name\` and every parameter. **Import JSON** checks the file against this layout and upgrades older versions, including a bare object of parameters. Unknown parameters are ignored, and missing parameters or values of the wrong type take their defaults; all of them are listed after the import.
+
+Saved projects go through the same checks when the page loads, and what they changed is listed under the library. Projects that cannot be read, such as ones saved by a newer version, stay in browser storage untouched, and a library that is not valid JSON is copied to a backup before anything is saved over it.
+
+### Exporting Results
+**CSV** and **JSON** above the plot download the plotted result set, including overlaid scenarios:
+- **CSV**: one \`Time (h)\` column and one column per series with its unit in the header. Daily values fill only their end-of-day rows; efficiency curves against the reduced temperature difference are JSON-only
+- **JSON**: every series as [x, y] pairs with its unit, plus the input parameters and those of the overlaid scenarios
+
+Tick **Full resolution** to export every integration step instead of the plotted sampling interval; long horizons then give large files.
+
+### Chart Images
+**SVG** and **PNG** save the charts on screen, every subplot stacked under the plot title, with their axis labels and legends. The images use a light print theme whatever the page looks like; PNG is rendered at twice the screen resolution. With **Parameter caption** ticked the parameters of the plotted section are listed below the charts.
+
+### Numerical Integration
+The tank layer temperatures are advanced over each timestep with the selected method, with weather, pump, heater and draw-off held at their start-of-step values:
+
+| Method | Order | Evaluations per step |
+|---|---|---|
+| Euler | 1 | 1 |
+| Heun | 2 | 2 |
+| RK4 | 4 | 4 |
+| RK45 (Dormand-Prince) | 5(4) | 7 per substep |
+
+RK45 splits each timestep into substeps sized so the local error estimate stays below the **Error Tolerance**. Independently of the method, a timestep in which a layer would exchange more than a quarter of its heat capacity per kelvin (collector loop flow, draw-off, conduction and wall loss) is first split into equal substeps, so long timesteps stay stable; flows and heater output are still held over the whole timestep. Thermostats and pump switch once per timestep, so the timestep is also the control interval.
+
+Under the plot title each run reports its timestep, step count, derivative evaluations, wall-clock time and **energy-balance residual**: the change in stored tank energy minus the heat that crossed the tank boundary (trapezoidal rule per step), also as a share of the solar and auxiliary heat input. It falls towards zero as the solution converges; a large residual means the timestep is too coarse for the method.
     `,
   },
   solarIrradiance: {
@@ -42,6 +111,55 @@ Where:
 
 ### Physical Basis
 This cosine profile approximates real solar radiation patterns, accounting for the sun's position in the sky throughout the day.
+
+## Astronomical Model
+
+Select **Astronomical (Clear Sky)** to compute irradiance from the sun's position instead of typing in sunrise, sunset and peak.
+
+### Solar Position
+- **Declination** δ and **equation of time** EoT from Spencer's Fourier series of the day of year
+- **Solar time** = clock time + (4 × (longitude − 15 × timeZone) + EoT) / 60
+- **Hour angle** ω = 15° × (solarTime − 12)
+- **Zenith angle**: **cos θz = sin φ sin δ + cos φ cos δ cos ω**
+
+### Clear-Sky Irradiance
+- **Extraterrestrial**: G_on = 1367 × (1 + 0.033 × cos(360° × n / 365))
+- **Air mass** (Kasten-Young): AM = 1 / (cos θz + 0.50572 × (96.07995 − θz)^−1.6364)
+- **Beam normal** (Meinel): DNI = G_on × 0.7^(AM^0.678)
+- **Diffuse**: DHI ≈ 0.1 × DNI
+- **Global horizontal**: GHI = DNI × cos θz + DHI
+
+Irradiance is zero while the sun is below the horizon (cos θz ≤ 0).
+
+## Plane-of-Array Irradiance
+
+The collector sees more or less than the horizontal value depending on its **tilt** β and **azimuth** γ. Both irradiance models are split into beam and diffuse parts, then transposed onto the collector plane. The cosine model uses the **Erbs** correlation on the clearness index to estimate its diffuse fraction. A cosine peak higher than the sun can deliver at its elevation (clearness index of 1 or more, e.g. in winter) is taken as all diffuse, so the beam never exceeds the extraterrestrial irradiance.
+
+### Transposition
+- **Angle of incidence**: cos θ = cos θz cos β + sin θz sin β cos(γs − γ)
+- **Beam**: I_b,T = DNI × max(0, cos θ)
+- **Diffuse, isotropic**: I_d,T = DHI × (1 + cos β) / 2
+- **Diffuse, Hay-Davies**: I_d,T = DHI × (A_i × R_b + (1 − A_i) × (1 + cos β) / 2), with anisotropy index A_i = DNI / G_on and R_b = cos θ / cos θz
+- **Ground reflected**: I_g,T = GHI × ρ × (1 − cos β) / 2
+
+**POA = I_b,T + I_d,T + I_g,T**
+
+The plane-of-array value drives the solar panel and storage tank simulations.
+
+### Cloud Cover
+The stochastic cloud model attenuates the clear-sky curve with passing clouds, reproducible from a **seed**:
+- Each day draws its clearness index K_day around the **daily clearness index**, spread by the **variability**
+- A two-state Markov chain switches between clear (τ = 1) and cloudy (τ = 0.25) every 5 minutes
+- The cloudy fraction p = (1 − K_day) / (1 − 0.25) makes the day average K_day of the clear-sky energy
+- Higher variability means shorter cloud passages (2 h down to 5 min)
+
+Clouded GHI is split again with the Erbs correlation, so beam drops much more than diffuse. The storage tank runs on the cloudy curve. Weather files already contain real clouds and are not attenuated.
+
+### Graph
+- **Global Horizontal** (dashed): total irradiance on a horizontal surface
+- **Beam / Diffuse Horizontal**: direct and sky components of the global value
+- **Plane of Array**: total irradiance on the tilted collector
+- **Clear-Sky Global Horizontal / Plane of Array** (dashed, with clouds only): the unattenuated curves for comparison; the cloudy global curve is then drawn solid
     `,
   },
   solarPanel: {
@@ -78,16 +196,59 @@ Net heat collected by the panel (used to heat the storage tank):
 
 **Q_panel = irradiance × area × efficiency(panelTemp)**
 
+#### Collector Loop (Hottel-Whillier-Bliss)
+With a positive mass flow rate, fluid leaves the bottom of the tank, passes through the collector and returns. The collector inlet temperature equals the tank outlet temperature, so a hot tank collects less.
+
+**Heat removal factor:**
+**F_R = (ṁ × c_p / (A × U_L)) × (1 − exp(−A × U_L × F' / (ṁ × c_p)))**
+
+**Useful gain:**
+**Q_u = A × F_R × (G × (τα) − U_L × (T_in − T_ambient))**
+
+**Outlet temperature:**
+**T_out = T_in + Q_u / (ṁ × c_p)**
+
+Where the reference efficiency acts as the optical efficiency (τα), the panel U-value is the loss coefficient U_L and F' is the collector efficiency factor. Negative gains are clamped to zero. The collector inlet is the bottom of the storage tank.
+
+#### Collector Efficiency Curve (EN ISO 9806)
+Solar thermal collectors are rated with a quadratic efficiency curve instead of a temperature coefficient:
+
+**η = η0 − a1 × (T_m − T_a) / G − a2 × (T_m − T_a)² / G**
+
+- **η0**: optical efficiency at normal incidence
+- **a1, a2**: linear and quadratic heat loss coefficients
+- **T_m**: mean fluid temperature, the average of inlet and outlet
+- **x = (T_m − T_a) / G**: reduced temperature difference
+
+Oblique sun is penalised by the **incidence angle modifier** K(θ) = 1 − b0 × (1 / cos θ − 1) on beam irradiance; diffuse and ground-reflected irradiance use K(60°). With the loop running, T_m = T_in + Q / (2 ṁ c_p) and the resulting quadratic in Q is solved directly. With the pump off the collector sits at its stagnation temperature, where η = 0.
+
+| Preset | η0 | a1 | a2 | b0 |
+|---|---|---|---|---|
+| Flat plate | 0.78 | 3.5 | 0.015 | 0.10 |
+| Evacuated tube | 0.65 | 1.2 | 0.008 | 0.05 |
+
+#### Collector Thermal Mass
+With the transient model the collector is a single node of heat capacity C whose fluid leaves at the collector temperature:
+
+**C × dT_c/dt = Q_absorbed − Q_loss(T_c) − ṁ × c_p × (T_c − T_in)**
+
+It is integrated implicitly (losses linearised at the current temperature), so it stays stable at any timestep. In the morning the collector needs time to warm up before the pump controller sees enough ΔT; in the evening it keeps delivering stored heat for a while. The equilibrium model skips this and jumps to the steady-state temperature at every step.
+
 ### Parameters
+- **Collector Thermal Model**: Transient with heat capacity C (J/K), or instantaneous equilibrium
+- **Collector Model**: EN ISO 9806 efficiency curve or the linear temperature coefficient model
+- **Collector Type**: Flat-plate or evacuated-tube preset, or custom η0, a1, a2, b0
 - **Panel Area** (m²): Total surface area of the solar panel
 - **Panel U-Value** (W/m²·K): Heat transfer coefficient representing thermal resistance
 - **Reference Temperature** (°C): Standard test condition baseline (25°C)
 - **Temperature Coefficient** (%/°C): Efficiency loss per degree above reference
+- **Collector Efficiency Factor** F': Absorber-to-fluid heat transfer quality (0.9-0.97)
 
 ### Graphs
-- **Panel Temperature**: How temperature varies throughout the day
-- **Panel Efficiency**: Temperature-dependent efficiency profile
-- **Heat Output**: Actual thermal power collected (W)
+- **Panel Temperature**: Collector temperature in the running system: mean fluid temperature while the pump runs, stagnation temperature while it is off. With the transient model the equilibrium temperature is shown dashed for comparison
+- **Panel Efficiency**: Heat output over the irradiance on the collector
+- **Heat Output**: Thermal power delivered to the tank (W), the same as Heat In on the Storage Tank plot
+- **Efficiency Curve** (EN ISO 9806 only): efficiency against the reduced temperature difference at 1000 and 500 W/m², from zero loss to stagnation. Evacuated tubes start lower but keep their efficiency at high temperatures
     `,
   },
   storageTank: {
@@ -95,9 +256,10 @@ Net heat collected by the panel (used to heat the storage tank):
     markdown: `## Storage Tank
 
 ### Description
-Simulate storage tank temperature profile over 24 hours with full energy balance, accounting for:
+Simulate storage tank temperature profile over one day up to a full year with full energy balance, accounting for:
 - Time-varying solar input from the panel
 - Dynamic heat loss to the environment
+- Hot water draw-off replaced by cold mains water
 - Thermal mass of water storage
 
 ### Energy Balance Model
@@ -105,34 +267,86 @@ Simulate storage tank temperature profile over 24 hours with full energy balance
 The tank temperature changes based on net energy flow:
 
 **Energy Balance Equation:**
-**m × c_p × dT/dt = Q_in - Q_loss**
+**m × c_p × dT/dt = Q_in - Q_loss - Q_draw**
 
 Where:
 - **m** = tank mass (kg) ≈ tank volume (L) × 1 kg/L
 - **c_p** = specific heat of water = 4186 J/(kg·K)
 - **Q_in** = heat power from solar panel (W)
 - **Q_loss** = heat loss to environment (W)
+- **Q_draw** = enthalpy removed by hot water use (W)
 
 **Heat Loss Calculation:**
 **Q_loss = uValue × area × (tankTemp - ambientTemp)**
 
+### Stratified Tank Model
+Select **Stratified (Multi-Node)** to split the tank into N equal horizontal layers instead of one fully mixed volume. Each layer has its own energy balance:
+
+**m_i × c_p × dT_i/dt = Q_collector,i + Q_draw,i + Q_cond,i − Q_loss,i**
+
+- **Collector loop**: fluid leaves from the bottom layer (collector inlet) and the collector return enters the top layer, then flows down through the column
+- **Draw-off**: hot water leaves from the top layer, mains water enters the bottom layer and pushes the column up
+- **Conduction**: Q_cond = k × A_cross / Δz × (T_neighbour − T_i) between adjacent layers
+- **Wall loss**: each layer loses heat through its share of the surface area
+- **Buoyancy mixing**: whenever a layer is hotter than the layer above it, the unstable layers are mixed to their mean temperature
+
+Without collector flow the panel heat enters the bottom layer, like an immersed coil. The Tank Temperature series is then the mean over all layers.
+
+### Pump Controller
+With the **Differential Thermostat** the collector loop only circulates when it can deliver heat:
+- **Start**: T_collector − T_tank,bottom > Turn-On ΔT
+- **Stop**: T_collector − T_tank,bottom < Turn-Off ΔT
+- **Hysteresis**: between the two thresholds the pump keeps its current state
+- **High limit**: the pump stops while the top of the tank is at or above the high limit (0 disables it, otherwise it must be at least 20°C)
+
+While the pump runs the collector sensor reads the loop outlet temperature; while it is off it reads the collector stagnation temperature. Pump runtime and electricity (runtime × pump power) are accumulated over the run.
+
+### Hot Water Draw-Off
+Hot water use follows an hourly schedule:
+- **S / M / L**: EN 15316 / EN 16147 tapping cycles, 2.1 / 5.845 / 11.655 kWh per day, aggregated to hourly energy
+- **Custom**: 24 hourly volumes in litres at the delivery temperature
+
+Each draw removes **Q_draw = m_draw × c_p × (tankTemp - mainsTemp)**. When the tank is hotter than the delivery temperature a mixing valve blends in mains water, so exactly the demanded energy leaves the tank. When it is colder, the demanded volume is drawn at tank temperature and the shortfall is counted as **unmet demand**.
+
 ### Simulation Method
-- **Time Step**: 10 seconds for numerical accuracy
-- **Sampling Interval**: Data collected every hour for clean visualization
-- **Duration**: Full 24-hour cycle
-- **Minimum Temperature**: Tank never cools below ambient temperature
+- **Time Step**: Automatic 10 seconds (60 seconds for horizons beyond a week) or the Timestep set under Simulation Parameters
+- **Integration**: Euler, Heun, RK4 or adaptive RK45 (see Simulation Parameters)
+- **Sampling Interval**: Data collected every 30 minutes (5 minutes with clouds) or at the Output Interval, coarser for horizons beyond ~6 weeks
+- **Duration**: Simulation Horizon in days; the tank state carries over continuously from one day to the next
+- **Multi-Day Axis**: Horizons longer than 3 days are plotted in days instead of hours
+- **Minimum Temperature**: Tank never cools below ambient or mains temperature, whichever is lower
 
 ### Parameters
 - **Tank Volume** (L): Larger tanks store more energy but have more surface area for heat loss
 - **Initial Temperature** (°C): Starting tank temperature (typically ambient)
 - **Surface Area** (m²): Exposed surface area (affects heat loss rate)
 - **U-Value** (W/m²·K): Insulation quality (lower = better insulation)
+- **Tank Model**: Fully mixed or stratified; layers, height and inter-layer conductivity for the stratified model
+- **Draw Profile**: Tapping cycle or custom hourly table
+- **Mains / Delivery Temp** (°C): Cold inlet and target tap temperature
 
 ### Key Outputs
-- **Tank Temperature**: How storage temperature evolves over 24 hours
+- **Tank Temperature**: How storage temperature evolves over the horizon
 - **Heat In**: Solar heat power entering the tank
 - **Heat Loss**: Heat power lost to environment
+- **Auxiliary Heat**: Backup heater power (see the Backup Heater section)
+- **Pump State**: Circulation pump on (1) or off (0)
+- **Pump Usage**: Cumulative pump runtime (h) and pump electricity (kWh)
+- **Hot Water Draw**: Heat power removed by hot water use
+- **Hot Water Delivered / Unmet Demand**: Cumulative energy (kWh) supplied at the tap and missing below the delivery temperature
+- **Collector Outlet Temperature**: Loop return temperature entering the tank
+- **Tank Stratification** (stratified model): temperature of each layer from top to bottom
 - **Ambient Temperature**: Reference baseline
+- **Daily Aggregates** (multi-day runs): minimum, maximum and end-of-day tank temperature, and solar energy collected per day (kWh)
+
+### Performance Summary
+The card above the plot sums up every run:
+- **Irradiation on Collector** (kWh): plane-of-array irradiance times panel area over the horizon
+- **Useful Solar Gain** (kWh): heat delivered by the collector loop to the tank
+- **Tank Losses** (kWh): heat lost through the tank walls
+- **Collector Efficiency**: useful solar gain over irradiation
+- **Peak / Final Tank Temperature** (°C): highest and last mean tank temperature
+- **Solar Fraction**: share of the met hot water demand covered by solar heat. The delivered heat is split between solar and backup heat as they went into the tank, **f = Q_solar / (Q_solar + Q_aux) = 1 − Q_aux / (Q_solar + Q_aux)**, and is 0 when nothing was delivered; shown only when there is a draw-off demand
 
 ### Physical Insights
 - Tank heats up when solar input exceeds heat loss (day hours)
@@ -141,6 +355,101 @@ Where:
 - Larger tanks have slower temperature changes due to greater thermal mass
     `,
   },
+  backupHeater: {
+    title: 'Backup Heater',
+    markdown: `## Backup Heater
+
+### Description
+Auxiliary electric element or gas burner that holds the storage tank at a setpoint when solar input is not enough. The backup heater runs inside the Storage Tank simulation, so its plot is the tank plot with the auxiliary heat added.
+
+### Thermostat
+- **On**: T_tank < setpoint − deadband
+- **Off**: T_tank ≥ setpoint
+- **Deadband**: between the two thresholds the heater keeps its current state
+- **Allowed hours**: outside the allowed window the heater stays off. The window may wrap past midnight (e.g. 22 to 6 for off-peak tariffs); equal hours or 0 to 24 allow it all day
+
+In the stratified tank the element and its thermostat sit in the upper third of the tank, so the volume below it is left for solar heat.
+
+### Energy Accounting
+**Q_aux = heater power** while on, added to the tank energy balance:
+
+**m × c_p × dT/dt = Q_in + Q_aux − Q_loss − Q_draw**
+
+- **Auxiliary energy**: heat delivered to the tank by the backup (kWh)
+- **Auxiliary input**: Q_aux / efficiency, the electricity or fuel consumed (kWh)
+- **Solar energy**: heat delivered by the collector (kWh)
+
+### Parameters
+- **Heater Power** (W): Heat output of the element or burner
+- **Heater Efficiency**: 1.0 electric, ~0.9 gas
+- **Setpoint** (°C) and **Deadband** (K): Thermostat settings
+- **Allowed From / Until** (h): Daily operating window
+
+### Graphs
+- **Energy Balance**: Auxiliary Heat (W) alongside Heat In, Heat Loss and Hot Water Draw
+- **Solar vs Auxiliary Energy**: Cumulative heat from each source (kWh)
+- **Daily Energy**: Daily solar and auxiliary energy for multi-day runs
+    `,
+  },
+  economics: {
+    title: 'Economics',
+    markdown: `## Economics
+
+### Description
+Turns the simulated useful solar heat into money and CO₂. The useful solar gain of the simulated horizon is scaled to one year (× 365 / days); simulate a full year to capture the seasons.
+
+### Model
+Solar heat displaces the fuel or electricity of the conventional heater:
+
+**E_displaced = Q_solar / η_heater**
+
+- **Savings** in year y: **S_y = E_displaced × price × (1 + e)^(y − 1)**
+- **Simple payback**: capital cost / first-year savings
+- **NPV**: **−capital + Σ S_y / (1 + d)^y** over the lifetime
+- **LCOH** (levelised cost of heat): **capital / Σ Q_solar / (1 + d)^y**, per kWh of useful solar heat
+- **Avoided CO₂**: E_displaced × CO₂ intensity, per year and over the lifetime
+
+Pump electricity and maintenance are not included.
+
+### Parameters
+- **System Capital Cost** (€): Installed cost
+- **Energy Price** (€/kWh): First-year price of the displaced fuel or electricity
+- **Displaced Heater Efficiency**: 1.0 electric, ~0.85 gas
+- **Price Escalation** and **Discount Rate** (%/year)
+- **Lifetime** (years)
+- **CO₂ Intensity** (kg/kWh): Of the displaced fuel or grid electricity
+
+### Graph
+- **Cumulative Cash Flow**: starts at minus the capital cost in year 0 and rises with each year's savings; it crosses zero at the payback year
+- **Discounted Cumulative Cash Flow**: the same with discounted savings; its final value is the NPV
+    `,
+  },
+  sweep: {
+    title: 'Parameter Sweep',
+    markdown: `## Parameter Sweep
+
+### Description
+Sizes the system without editing one value at a time: one or two parameters are stepped over a range and every combination runs the full storage tank simulation. All other parameters keep their current values.
+
+### Metrics
+Each run is reduced to one number from its exact totals, not from the sampled plot:
+- **Final** and **Peak Tank Temperature** (°C)
+- **Daily Solar Gain** and **Daily Auxiliary Energy** (kWh/day): averaged over the simulated days
+- **Solar Fraction** (%): share of the met hot water demand covered by solar heat, as in the performance summary; 0 without demand
+- **Pump Runtime** (h)
+
+### Parameters
+- **Sweep Type**: one parameter (line) or two parameters (heatmap)
+- **Swept Parameter**, **From**, **To**, **Steps**: any numeric parameter, stepped evenly from the first to the last value. Whole-number parameters such as the number of tank nodes are rounded, so repeated values run once
+- **Output Metric**
+
+Every step is a full run: up to 50 steps for one parameter and 15 × 15 for two. Long horizons take proportionally longer. The sweep starts on **Update** and runs in the background with a progress bar; the page stays usable, and updating again or opening another plot cancels it.
+
+### Graph
+- **One parameter**: the metric against the swept values
+- **Two parameters**: a heatmap with the first parameter across and the second upwards, blue for the lowest value and red for the highest; hover a cell for its exact value
+    `,
+  },
 }
 
 export const RemarksPanel = ({ activeSection }) => {
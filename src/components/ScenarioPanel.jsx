@@ -0,0 +1,144 @@
+import React, { useState } from 'react'
+import { Card, CardHeader, CardTitle, CardContent } from './ui/card'
+import { Button } from './ui/button'
+import { Input } from './ui/input'
+import { Save, X } from 'lucide-react'
+import { diffScenarioParameters, formatParameterLabel, toDisplayValue, SCENARIO_LINE_STYLES } from '../lib/simulations'
+
+// Show a parameter value with the label of its option when it has one, numbers in the selected unit system
+const formatScenarioValue = (value, definition, unitSystem) => {
+  if (value === undefined) {
+    return '–'
+  }
+  if (typeof value === 'number') {
+    return String(toDisplayValue(value, definition?.unit, unitSystem))
+  }
+  const option = definition?.options?.find((o) => o.value === value)
+  return option ? option.label : String(value)
+}
+
+// Short line sample in the scenario's dash pattern, matching the plot
+const LineSample = ({ index }) => (
+  <svg width="28" height="8" className="flex-shrink-0">
+    <line
+      x1="0"
+      y1="4"
+      x2="28"
+      y2="4"
+      stroke="currentColor"
+      strokeWidth="2"
+      strokeDasharray={SCENARIO_LINE_STYLES[index % SCENARIO_LINE_STYLES.length] || undefined}
+    />
+  </svg>
+)
+
+// Save the current parameters as named scenarios, pick which to overlay and list what differs;
+// saving is disabled while canSave is false, e.g. with invalid inputs
+export const ScenarioPanel = ({ parameters, scenarios, selected, onSave, onToggle, onDelete, canSave = true, parameterDefinitions, unitSystem = 'si' }) => {
+  const [name, setName] = useState('')
+
+  const handleSave = () => {
+    if (!canSave) {
+      return
+    }
+    onSave(name.trim() || `Scenario ${scenarios.length + 1}`)
+    setName('')
+  }
+
+  // Current parameters first, then the selected scenarios in overlay order
+  const compared = [
+    { name: 'Current', parameters },
+    ...scenarios.filter((scenario) => selected.includes(scenario.name)),
+  ]
+  const differences = compared.length > 1 ? diffScenarioParameters(compared) : []
+
+  return (
+    <Card className="flex-shrink-0">
+      <CardHeader className="py-3">
+        <CardTitle className="text-base">Scenarios</CardTitle>
+      </CardHeader>
+      <CardContent className="pb-3 space-y-3">
+        <div className="flex gap-2">
+          <Input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+            placeholder={`Scenario ${scenarios.length + 1}`}
+            className="h-9"
+          />
+          <Button size="sm" onClick={handleSave} disabled={!canSave} className="gap-2">
+            <Save className="w-4 h-4" />
+            Save Current
+          </Button>
+        </div>
+        {scenarios.length > 0 && (
+          <div className="flex flex-wrap gap-2">
+            {scenarios.map((scenario) => {
+              const overlayIndex = compared.findIndex((c) => c.name === scenario.name)
+              return (
+                <label
+                  key={scenario.name}
+                  className="flex items-center gap-2 rounded-md border px-2 py-1 text-sm cursor-pointer"
+                >
+                  <input
+                    type="checkbox"
+                    checked={selected.includes(scenario.name)}
+                    onChange={() => onToggle(scenario.name)}
+                  />
+                  {scenario.name}
+                  {overlayIndex > 0 && <LineSample index={overlayIndex} />}
+                  <button
+                    type="button"
+                    onClick={(e) => {
+                      e.preventDefault()
+                      onDelete(scenario.name)
+                    }}
+                    className="text-muted-foreground hover:text-foreground"
+                    aria-label={`Delete ${scenario.name}`}
+                  >
+                    <X className="w-3 h-3" />
+                  </button>
+                </label>
+              )
+            })}
+          </div>
+        )}
+        {compared.length > 1 && (
+          differences.length > 0 ? (
+            <div className="max-h-40 overflow-y-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs text-muted-foreground">
+                    <th className="font-normal pr-4">Parameter</th>
+                    {compared.map((scenario, idx) => (
+                      <th key={scenario.name} className="font-normal pr-4">
+                        <span className="flex items-center gap-2">
+                          {scenario.name}
+                          <LineSample index={idx} />
+                        </span>
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {differences.map(({ key, values }) => (
+                    <tr key={key} className="border-t">
+                      <td className="pr-4 py-1">{parameterDefinitions?.[key] ? formatParameterLabel(parameterDefinitions[key], unitSystem) : key}</td>
+                      {values.map((value, idx) => (
+                        <td key={compared[idx].name} className="pr-4 py-1 font-medium">
+                          {formatScenarioValue(value, parameterDefinitions?.[key], unitSystem)}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p className="text-xs text-muted-foreground">The selected scenarios have the same parameters as the current ones.</p>
+          )
+        )}
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,163 @@
+import React from 'react'
+import { Card, CardHeader, CardTitle, CardDescription, CardContent } from './ui/card'
+import { PlotPanel } from './PlotPanel'
+import { formatParameterLabel, getDisplayUnit, toDisplayValue } from '../lib/simulations'
+
+// Cold to hot: blue for the lowest metric value, red for the highest
+const HEATMAP_HUE_MIN = 240
+const HEATMAP_HUE_MAX = 0
+
+// Swept values are evenly spaced fractions; four significant digits keep the labels short
+const formatSweepValue = (value) => String(parseFloat(value.toPrecision(4)))
+
+const getHeatmapColor = (value, min, max) => {
+  const fraction = max > min ? (value - min) / (max - min) : 0.5
+  return `hsl(${Math.round(HEATMAP_HUE_MIN + (HEATMAP_HUE_MAX - HEATMAP_HUE_MIN) * fraction)}, 80%, 50%)`
+}
+
+// Metric over two swept parameters; the second parameter increases upwards
+const Heatmap = ({ sweep, xLabel, yLabel }) => {
+  const { x, y, values, metric } = sweep
+  const flat = values.flat()
+  const min = Math.min(...flat)
+  const max = Math.max(...flat)
+  const rows = y.values.map((yValue, row) => ({ yValue, cells: values[row] })).reverse()
+
+  return (
+    <div className="flex-1 min-h-0 flex gap-4 p-4">
+      <div className="flex items-center">
+        <span className="text-sm text-foreground [writing-mode:vertical-rl] rotate-180">{yLabel}</span>
+      </div>
+      <div className="flex-1 min-w-0 flex flex-col">
+        <div
+          className="flex-1 min-h-0 grid gap-px"
+          style={{ gridTemplateColumns: `auto repeat(${x.values.length}, minmax(0, 1fr))` }}
+        >
+          {rows.map(({ yValue, cells }) => (
+            <React.Fragment key={yValue}>
+              <span className="text-xs text-muted-foreground self-center text-right pr-2">{formatSweepValue(yValue)}</span>
+              {cells.map((value, col) => (
+                <div
+                  key={x.values[col]}
+                  className="flex items-center justify-center text-xs font-medium text-white min-h-[24px]"
+                  style={{ backgroundColor: getHeatmapColor(value, min, max) }}
+                  title={`${xLabel}: ${formatSweepValue(x.values[col])}\n${yLabel}: ${formatSweepValue(yValue)}\n${metric.label}: ${value.toFixed(2)} ${metric.unit}`}
+                >
+                  {value.toFixed(1)}
+                </div>
+              ))}
+            </React.Fragment>
+          ))}
+          <span />
+          {x.values.map((xValue) => (
+            <span key={xValue} className="text-xs text-muted-foreground text-center pt-1">{formatSweepValue(xValue)}</span>
+          ))}
+        </div>
+        <span className="text-sm text-foreground text-center pt-2">{xLabel}</span>
+      </div>
+      <div className="flex flex-col items-center gap-1 w-16">
+        <span className="text-xs text-muted-foreground">{max.toFixed(1)}</span>
+        <div
+          className="flex-1 w-4 rounded-sm"
+          style={{ background: `linear-gradient(${getHeatmapColor(max, min, max)}, hsl(120, 80%, 50%), ${getHeatmapColor(min, min, max)})` }}
+        />
+        <span className="text-xs text-muted-foreground">{min.toFixed(1)}</span>
+        <span className="text-xs text-foreground text-center">{metric.unit}</span>
+      </div>
+    </div>
+  )
+}
+
+// Swept values and the metric of a sweep in the selected unit system; the sweep itself runs in SI
+const convertSweep = (sweep, parameterDefinitions, unitSystem) => {
+  const convertAxis = (axis) => axis && {
+    ...axis,
+    values: axis.values.map((value) => toDisplayValue(value, parameterDefinitions?.[axis.parameter]?.unit, unitSystem)),
+  }
+  const convertMetric = (value) => toDisplayValue(value, sweep.metric.unit, unitSystem)
+  return {
+    ...sweep,
+    metric: { ...sweep.metric, unit: getDisplayUnit(sweep.metric.unit, unitSystem) },
+    x: convertAxis(sweep.x),
+    y: convertAxis(sweep.y),
+    values: sweep.y ? sweep.values.map((row) => row.map(convertMetric)) : sweep.values.map(convertMetric),
+  }
+}
+
+// Shown in place of the result while a sweep runs
+const SweepProgress = ({ done, total }) => (
+  <Card className="h-full flex flex-col min-h-0">
+    <CardHeader className="flex-shrink-0">
+      <CardTitle>Parameter Sweep</CardTitle>
+      <CardDescription>Running simulation {Math.min(done + 1, total)} of {total}</CardDescription>
+    </CardHeader>
+    <CardContent>
+      <div className="h-2 rounded-full bg-muted overflow-hidden">
+        <div className="h-full bg-primary transition-all" style={{ width: `${(100 * done) / total}%` }} />
+      </div>
+    </CardContent>
+  </Card>
+)
+
+// Shown in place of the result when a sweep failed
+const SweepError = ({ message }) => (
+  <Card className="h-full flex flex-col min-h-0">
+    <CardHeader className="flex-shrink-0">
+      <CardTitle>Parameter Sweep</CardTitle>
+      <CardDescription className="text-red-400">{message}</CardDescription>
+    </CardHeader>
+  </Card>
+)
+
+// Result of runParameterSweep: a line over one parameter or a heatmap over two; progress {done, total}
+// while one runs and the error message when it failed
+export const SweepPanel = ({ sweep: siSweep, progress, error, parameterDefinitions, unitSystem = 'si' }) => {
+  if (progress) {
+    return <SweepProgress done={progress.done} total={progress.total} />
+  }
+  if (error) {
+    return <SweepError message={error} />
+  }
+  if (!siSweep) {
+    return null
+  }
+
+  const sweep = convertSweep(siSweep, parameterDefinitions, unitSystem)
+  const label = (key) => (parameterDefinitions?.[key] ? formatParameterLabel(parameterDefinitions[key], unitSystem) : key)
+  const metricName = `${sweep.metric.label} (${sweep.metric.unit})`
+  const runs = sweep.x.values.length * (sweep.y ? sweep.y.values.length : 1)
+  const description = `${runs} simulation runs`
+
+  if (!sweep.y) {
+    return (
+      <PlotPanel
+        data={[{
+          id: metricName,
+          color: 'hsl(0, 100%, 50%)',
+          data: sweep.x.values.map((xValue, idx) => ({
+            x: parseFloat(xValue.toFixed(4)),
+            y: parseFloat(sweep.values[idx].toFixed(2)),
+          })),
+        }]}
+        title={`Parameter Sweep: ${sweep.metric.label} vs ${label(sweep.x.parameter)}`}
+        description={description}
+        xAxisLabel={label(sweep.x.parameter)}
+        yAxisLabel={metricName}
+      />
+    )
+  }
+
+  return (
+    <Card className="h-full flex flex-col min-h-0">
+      <CardHeader className="flex-shrink-0">
+        <CardTitle>
+          Parameter Sweep: {sweep.metric.label} vs {label(sweep.x.parameter)} and {label(sweep.y.parameter)}
+        </CardTitle>
+        <CardDescription>{description}, {metricName} per combination</CardDescription>
+      </CardHeader>
+      <CardContent className="flex-1 min-h-0 p-2 pt-0 flex flex-col">
+        <Heatmap sweep={sweep} xLabel={label(sweep.x.parameter)} yLabel={label(sweep.y.parameter)} />
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,70 @@
+import React, { useState, useRef } from 'react'
+import { Button } from './ui/button'
+import { Label } from './ui/label'
+import { Upload, X } from 'lucide-react'
+import { parseWeatherFile } from '../lib/simulations'
+
+// Loads an EPW, TMY3 or CSV weather file in the browser; nothing is uploaded
+export const WeatherFileInput = ({ weather, onLoad, onClear }) => {
+  const inputRef = useRef(null)
+  const [error, setError] = useState(null)
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0]
+    if (!file) {
+      return
+    }
+    try {
+      const text = await file.text()
+      onLoad(parseWeatherFile(text, file.name))
+      setError(null)
+    } catch (err) {
+      setError(`Could not read ${file.name}: ${err.message}`)
+    }
+    // Allow loading the same file again after clearing it
+    e.target.value = ''
+  }
+
+  return (
+    <div className="space-y-2">
+      <Label className="text-white">Weather File</Label>
+      <input
+        ref={inputRef}
+        type="file"
+        accept=".epw,.csv,text/csv"
+        onChange={handleFileChange}
+        className="hidden"
+      />
+      <div className="flex gap-2">
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={() => inputRef.current?.click()}
+          className="flex-1 gap-2 bg-slate-700 border-slate-600 text-white hover:bg-slate-600"
+        >
+          <Upload className="w-4 h-4" />
+          {weather ? 'Replace' : 'Import EPW / TMY3 / CSV'}
+        </Button>
+        {weather && (
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={onClear}
+            className="gap-1 text-slate-300"
+          >
+            <X className="w-4 h-4" />
+            Clear
+          </Button>
+        )}
+      </div>
+      {weather && (
+        <p className="text-xs text-slate-400">
+          {weather.name || 'Weather file'} ({weather.format}, {weather.records.length} records)
+          {weather.site && ` · ${weather.site}`}
+          {weather.location && ` · ${weather.location.latitude.toFixed(2)}°, ${weather.location.longitude.toFixed(2)}°, UTC${weather.location.timeZone >= 0 ? '+' : ''}${weather.location.timeZone}`}
+        </p>
+      )}
+      {error && <p className="text-xs text-red-400">{error}</p>}
+    </div>
+  )
+}
@@ -0,0 +1,81 @@
+/**
+ * Ambient Temperature Calculations
+ * Outdoor air temperature seen by the collector and the tank
+ */
+
+import { interpolateWeather, isWeatherDriven } from './weather.js'
+
+/**
+ * Calculate ambient temperature from a two-piece cosine daily profile
+ * Rises from ambientMinTemp at ambientMinHour to ambientMaxTemp at ambientMaxHour,
+ * then falls back to the minimum at ambientMinHour of the next day:
+ * T = T_min + (T_max - T_min) * (1 - cos(π * f)) / 2 while rising (f = fraction of the rise),
+ * mirrored while falling. The same curve repeats every 24 hours.
+ *
+ * @param {number} t - Time in hours from the start of the first simulated day
+ * @param {object} params - Parameters object containing ambientMinTemp, ambientMaxTemp, ambientMinHour and ambientMaxHour
+ * @returns {number} Ambient temperature in °C
+ */
+export const calculateDiurnalAmbientTemperature = (t, params) => {
+  const { ambientMinTemp, ambientMaxTemp, ambientMinHour, ambientMaxHour } = params
+  const hour = ((t % 24) + 24) % 24
+
+  // Duration of the warming part of the day, wrapping past midnight
+  const riseHours = (((ambientMaxHour - ambientMinHour) % 24) + 24) % 24
+  if (riseHours === 0) {
+    return (ambientMinTemp + ambientMaxTemp) / 2
+  }
+
+  const sinceMin = (((hour - ambientMinHour) % 24) + 24) % 24
+  const fraction = sinceMin <= riseHours
+    ? sinceMin / riseHours
+    : 1 - (sinceMin - riseHours) / (24 - riseHours)
+
+  return ambientMinTemp + (ambientMaxTemp - ambientMinTemp) * (1 - Math.cos(Math.PI * fraction)) / 2
+}
+
+/**
+ * Calculate ambient temperature at a given time
+ * Follows the dry-bulb temperature of an imported weather file when one is selected,
+ * otherwise the model selected by params.ambientModel: 'diurnal' (daily min/max profile)
+ * or 'constant' (params.ambientTemp all day).
+ *
+ * @param {number} t - Time in hours from the start of the first simulated day
+ * @param {object} params - Parameters object containing ambient temperature and weather settings
+ * @returns {number} Ambient temperature in °C
+ */
+export const calculateAmbientTemperature = (t, params) => {
+  if (isWeatherDriven(params)) {
+    return interpolateWeather(t, params).temp
+  }
+  if (params.ambientModel === 'diurnal') {
+    return calculateDiurnalAmbientTemperature(t, params)
+  }
+  return params.ambientTemp
+}
+
+/**
+ * Create the ambient temperature component model
+ * Publishes signals: ambientTemp
+ *
+ * @param {object} parameters - All simulation parameters
+ * @returns {object} Component model for runSimulation
+ */
+export const createAmbientModel = (parameters) => {
+  let ambientTemp = 0
+
+  const update = (context) => {
+    ambientTemp = calculateAmbientTemperature(context.t, parameters)
+    context.signals.ambientTemp = ambientTemp
+  }
+
+  return {
+    id: 'ambient',
+    channels: {
+      ambientTemp: { label: 'Ambient Temperature', unit: '°C', quantity: 'temperature' },
+    },
+    init: update,
+    step: update,
+    output: () => ({ ambientTemp }),
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * Auxiliary Backup Heater
+ * Thermostat, schedule and energy calculations for the electric or gas backup heater
+ */
+
+/**
+ * Check whether the backup heater may run at a given time
+ * The allowed window runs from auxAllowedStartHour to auxAllowedEndHour and may wrap
+ * past midnight (e.g. 22 to 6 for off-peak tariffs). Equal start and end hours allow all day.
+ *
+ * @param {number} t - Time in hours from the start of the first simulated day
+ * @param {number} startHour - Start of the allowed window (0-24)
+ * @param {number} endHour - End of the allowed window (0-24)
+ * @returns {boolean} True if the heater is allowed to run
+ */
+export const isAuxiliaryAllowed = (t, startHour, endHour) => {
+  const hour = ((t % 24) + 24) % 24
+  if (startHour === endHour || (startHour <= 0 && endHour >= 24)) {
+    return true
+  }
+  if (startHour < endHour) {
+    return hour >= startHour && hour < endHour
+  }
+  return hour >= startHour || hour < endHour
+}
+
+/**
+ * Decide the backup heater state for the next timestep
+ * Thermostat with deadband: switches on below auxSetpoint - auxDeadband and
+ * off once the sensor reaches auxSetpoint. Outside the allowed hours it is always off.
+ *
+ * @param {boolean} heaterOn - Current heater state
+ * @param {number} sensorTemp - Tank temperature at the heater thermostat in °C
+ * @param {number} t - Time in hours from the start of the first simulated day
+ * @param {object} params - Parameters object containing auxHeater, auxPower, auxSetpoint, auxDeadband and allowed hours
+ * @returns {boolean} Heater state for the next timestep
+ */
+export const updateAuxiliaryHeater = (heaterOn, sensorTemp, t, params) => {
+  const { auxHeater, auxPower, auxSetpoint, auxDeadband, auxAllowedStartHour, auxAllowedEndHour } = params
+
+  if (auxHeater === 'none' || !(auxPower > 0)) {
+    return false
+  }
+  if (!isAuxiliaryAllowed(t, auxAllowedStartHour, auxAllowedEndHour)) {
+    return false
+  }
+
+  if (sensorTemp >= auxSetpoint) {
+    return false
+  }
+  if (sensorTemp < auxSetpoint - auxDeadband) {
+    return true
+  }
+  return heaterOn
+}
+
+/**
+ * Calculate the final energy input needed for a given amount of auxiliary heat
+ * Input = heat / efficiency (electricity for an electric element, fuel for a gas burner)
+ *
+ * @param {number} heat - Heat delivered to the tank (any energy unit)
+ * @param {number} auxEfficiency - Heater efficiency (0-1]
+ * @returns {number} Energy input in the same unit as heat
+ */
+export const calculateAuxiliaryInput = (heat, auxEfficiency) => {
+  return auxEfficiency > 0 ? heat / auxEfficiency : heat
+}
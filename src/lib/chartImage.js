@@ -0,0 +1,111 @@
+/**
+ * Chart Image Export
+ * Composes the rendered chart SVGs into one printable image with a title and an optional caption
+ */
+
+// Light print colours for the theme variables the charts are styled with
+const PRINT_THEME = {
+  foreground: '#111827',
+  'muted-foreground': '#4b5563',
+  border: '#d1d5db',
+  background: '#ffffff',
+}
+
+const FONT_FAMILY = 'Helvetica, Arial, sans-serif'
+const PADDING = 16
+const TITLE_HEIGHT = 36
+const CHART_GAP = 8
+const CAPTION_LINE_HEIGHT = 16
+
+// Approximate width of a caption character at 12px, used to wrap the caption
+const CAPTION_CHAR_WIDTH = 6.5
+
+const escapeXml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+// Replace the UI theme's CSS variables, which mean nothing outside the page, with print colours
+const toPrintTheme = (markup) => markup.replace(
+  /hsl\(var\(--([\w-]+)\)\)/g,
+  (_, name) => PRINT_THEME[name] || PRINT_THEME.foreground
+)
+
+/**
+ * Break text into lines of at most maxChars characters at spaces
+ * @param {string} text - Text to wrap
+ * @param {number} maxChars - Maximum characters per line
+ * @returns {array} Lines
+ */
+export const wrapText = (text, maxChars) => text.split(' ').reduce((lines, word) => {
+  const last = lines[lines.length - 1]
+  if (last !== undefined && `${last} ${word}`.length <= maxChars) {
+    lines[lines.length - 1] = `${last} ${word}`
+  } else {
+    lines.push(word)
+  }
+  return lines
+}, [])
+
+/**
+ * Compose rendered charts into one SVG document on a white background
+ * Charts are stacked top to bottom under the title, the caption is wrapped below them.
+ *
+ * @param {array} charts - Rendered chart SVG elements, each with width and height attributes
+ * @param {object} options - title and caption (optional) text
+ * @returns {object} {svg, width, height}: standalone SVG markup and its size in pixels
+ */
+export const composeChartSvg = (charts, { title, caption }) => {
+  const serializer = new XMLSerializer()
+  const width = Math.max(...charts.map((chart) => parseFloat(chart.getAttribute('width')))) + 2 * PADDING
+  let y = PADDING + TITLE_HEIGHT
+
+  const chartMarkup = charts.map((chart) => {
+    const clone = chart.cloneNode(true)
+    clone.setAttribute('x', PADDING)
+    clone.setAttribute('y', y)
+    y += parseFloat(chart.getAttribute('height')) + CHART_GAP
+    return serializer.serializeToString(clone)
+  })
+
+  const captionLines = caption ? wrapText(caption, Math.floor((width - 2 * PADDING) / CAPTION_CHAR_WIDTH)) : []
+  const captionMarkup = captionLines.map((line, idx) => (
+    `<text x="${PADDING}" y="${y + (idx + 1) * CAPTION_LINE_HEIGHT}" font-size="12" fill="${PRINT_THEME['muted-foreground']}">${escapeXml(line)}</text>`
+  ))
+  const height = y + captionLines.length * CAPTION_LINE_HEIGHT + PADDING
+
+  const svg = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${FONT_FAMILY}">`,
+    `<rect width="100%" height="100%" fill="${PRINT_THEME.background}"/>`,
+    `<text x="${PADDING}" y="${PADDING + 20}" font-size="18" font-weight="bold" fill="${PRINT_THEME.foreground}">${escapeXml(title)}</text>`,
+    ...chartMarkup,
+    ...captionMarkup,
+    '</svg>',
+  ].join('\n')
+
+  return { svg: toPrintTheme(svg), width, height }
+}
+
+/**
+ * Rasterise SVG markup to a PNG image
+ * @param {string} svg - Standalone SVG markup
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {number} scale - Pixel density. Default: 2, sharp in print
+ * @returns {Promise<Blob>} PNG image
+ */
+export const svgToPng = (svg, width, height, scale = 2) => new Promise((resolve, reject) => {
+  const image = new Image()
+  image.onload = () => {
+    const canvas = document.createElement('canvas')
+    canvas.width = width * scale
+    canvas.height = height * scale
+    const context = canvas.getContext('2d')
+    context.scale(scale, scale)
+    context.drawImage(image, 0, 0, width, height)
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not render the PNG image'))), 'image/png')
+  }
+  image.onerror = () => reject(new Error('Could not render the chart image'))
+  image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`
+})
@@ -0,0 +1,114 @@
+/**
+ * Cloud Cover Calculations
+ * Seeded stochastic cloud model that attenuates clear-sky irradiance
+ */
+
+import { isWeatherDriven } from './weather.js'
+
+// Cloud states last 5 minutes
+const SLOTS_PER_HOUR = 12
+const SLOTS_PER_DAY = 24 * SLOTS_PER_HOUR
+
+// Fraction of clear-sky global irradiance that passes a cloud
+const CLOUDY_TRANSMITTANCE = 0.25
+
+// Longest mean cloud passage in slots (2 hours), reached with zero variability
+const MAX_MEAN_CLOUD_SLOTS = 24
+
+// Generated daily cloud sequences, keyed by seed, settings and day
+const cloudCache = new Map()
+const MAX_CACHED_DAYS = 400
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {function} Function returning uniformly distributed numbers in [0, 1)
+ */
+export const createRandom = (seed) => {
+  let state = seed >>> 0
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0
+    let z = state
+    z = Math.imul(z ^ (z >>> 15), z | 1)
+    z ^= z + Math.imul(z ^ (z >>> 7), z | 61)
+    return ((z ^ (z >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * Generate the cloud transmittance sequence for one simulated day
+ * The day's clearness index scatters around params.clearnessIndex by params.cloudVariability.
+ * Within the day a two-state Markov chain (clear / cloudy) switches every 5-minute slot:
+ * - cloudy fraction p = (1 - K_day) / (1 - τ_cloud), so the day averages K_day of clear-sky irradiance
+ * - mean cloud passage shortens from 2 h to 5 min as variability rises
+ * - transition probabilities keep p as the stationary cloudy fraction
+ *
+ * @param {number} day - Simulated day index, 0 for the first day
+ * @param {object} params - Parameters object containing cloudSeed, clearnessIndex and cloudVariability
+ * @returns {object} Daily clearness index (clearness) and per-slot transmittance (slots, 0-1)
+ */
+export const generateCloudDay = (day, params) => {
+  const { cloudSeed, clearnessIndex, cloudVariability } = params
+  const key = `${cloudSeed}|${clearnessIndex}|${cloudVariability}|${day}`
+  if (cloudCache.has(key)) {
+    return cloudCache.get(key)
+  }
+
+  // Each day has its own stream so a day is identical whatever horizon is simulated
+  const random = createRandom(Math.imul((cloudSeed | 0) ^ 0x5BD1E995, 0x9E3779B1) + day * 0x85EBCA6B)
+  const variability = Math.min(1, Math.max(0, cloudVariability))
+
+  // Approximately normal day-to-day scatter (sum of three uniforms)
+  const scatter = (random() + random() + random() - 1.5) * 2
+  const clearness = Math.min(1, Math.max(0.05, clearnessIndex + 0.25 * variability * scatter))
+
+  let slots
+  if (clearness <= CLOUDY_TRANSMITTANCE) {
+    // Overcast all day
+    slots = Array(SLOTS_PER_DAY).fill(clearness)
+  } else {
+    const cloudyFraction = Math.min(1, (1 - clearness) / (1 - CLOUDY_TRANSMITTANCE))
+    const meanCloudSlots = 1 + (1 - variability) * (MAX_MEAN_CLOUD_SLOTS - 1)
+    const clearing = 1 / meanCloudSlots
+    const clouding = cloudyFraction < 1 ? Math.min(1, (cloudyFraction / (1 - cloudyFraction)) * clearing) : 1
+
+    let cloudy = random() < cloudyFraction
+    slots = Array.from({ length: SLOTS_PER_DAY }, () => {
+      const transmittance = cloudy ? CLOUDY_TRANSMITTANCE : 1
+      cloudy = cloudy ? random() >= clearing : random() < clouding
+      return transmittance
+    })
+  }
+
+  if (cloudCache.size >= MAX_CACHED_DAYS) {
+    cloudCache.clear()
+  }
+  const result = { clearness, slots }
+  cloudCache.set(key, result)
+  return result
+}
+
+/**
+ * Check whether the cloud model applies
+ * Measured weather files already contain cloud effects, so clouds only attenuate synthetic irradiance.
+ * @param {object} params - Parameters object containing cloudModel and weatherSource
+ * @returns {boolean} True if the stochastic cloud model is selected
+ */
+export const isCloudModelActive = (params) => params.cloudModel === 'markov' && !isWeatherDriven(params)
+
+/**
+ * Calculate cloud transmittance at a given time
+ * Reproducible from params.cloudSeed: the same seed and settings always give the same clouds.
+ *
+ * @param {number} t - Time in hours from the start of the first simulated day
+ * @param {object} params - Parameters object containing cloud settings
+ * @returns {number} Fraction of clear-sky global irradiance reaching the ground (0-1)
+ */
+export const calculateCloudTransmittance = (t, params) => {
+  if (!isCloudModelActive(params)) {
+    return 1
+  }
+  const day = Math.floor(t / 24)
+  const slot = Math.min(SLOTS_PER_DAY - 1, Math.floor((t - day * 24) * SLOTS_PER_HOUR + 1e-9))
+  return generateCloudDay(day, params).slots[slot]
+}
@@ -0,0 +1,165 @@
+/**
+ * Solar Thermal Collector Rating
+ * EN ISO 9806 quadratic efficiency curve, incidence angle modifier and rated collector output
+ */
+
+/**
+ * Typical EN ISO 9806 coefficients (aperture area) for common collector types
+ * eta0: peak optical efficiency, a1: W/(m²*K), a2: W/(m²*K²), iamB0: incidence angle modifier constant
+ */
+export const COLLECTOR_PRESETS = {
+  flatPlate: { eta0: 0.78, a1: 3.5, a2: 0.015, iamB0: 0.1 },
+  evacuatedTube: { eta0: 0.65, a1: 1.2, a2: 0.008, iamB0: 0.05 },
+}
+
+// Brandemuehl-Beckman effective incidence angle (60°) used for diffuse and ground-reflected irradiance
+const COS_DIFFUSE_INCIDENCE = 0.5
+
+/**
+ * Resolve the efficiency curve coefficients for the selected collector preset
+ * @param {object} params - Parameters object containing collectorPreset and, for 'custom', eta0, a1, a2 and iamB0
+ * @returns {object} Coefficients eta0, a1, a2 and iamB0
+ */
+export const getCollectorCoefficients = (params) => {
+  const preset = COLLECTOR_PRESETS[params.collectorPreset]
+  if (preset) {
+    return preset
+  }
+  const { eta0, a1, a2, iamB0 } = params
+  return { eta0, a1, a2, iamB0 }
+}
+
+/**
+ * Calculate the incidence angle modifier (ASHRAE / b0 form)
+ * K(θ) = 1 - b0 * (1 / cos θ - 1), zero beyond the angle where it reaches zero
+ *
+ * @param {number} cosIncidence - Cosine of the angle of incidence
+ * @param {number} iamB0 - Incidence angle modifier constant b0
+ * @returns {number} Incidence angle modifier (0-1)
+ */
+export const calculateIncidenceAngleModifier = (cosIncidence, iamB0) => {
+  if (cosIncidence <= 0) {
+    return 0
+  }
+  return Math.max(0, Math.min(1, 1 - iamB0 * (1 / cosIncidence - 1)))
+}
+
+/**
+ * Calculate the irradiance on the collector weighted by the incidence angle modifier
+ * G_eff = K(θ) * G_beam + K(60°) * (G_diffuse + G_ground)
+ *
+ * @param {object} poa - Plane-of-array irradiance from calculatePlaneOfArrayIrradiance
+ * @param {number} iamB0 - Incidence angle modifier constant b0
+ * @returns {number} Effective irradiance in W/m², to be multiplied by eta0
+ */
+export const calculateEffectiveIrradiance = (poa, iamB0) => {
+  const beamModifier = calculateIncidenceAngleModifier(poa.cosIncidence, iamB0)
+  const diffuseModifier = calculateIncidenceAngleModifier(COS_DIFFUSE_INCIDENCE, iamB0)
+  return poa.poaBeam * beamModifier + (poa.poaDiffuse + poa.poaGround) * diffuseModifier
+}
+
+/**
+ * Calculate collector efficiency from the EN ISO 9806 quadratic curve at normal incidence
+ * η = η0 - a1 * x - a2 * G * x², with reduced temperature difference x = (T_m - T_a) / G
+ *
+ * @param {number} reducedTempDiff - Reduced temperature difference (T_m - T_a) / G in m²*K/W
+ * @param {number} irradiance - Irradiance on the collector in W/m²
+ * @param {object} coefficients - Efficiency curve coefficients eta0, a1 and a2
+ * @returns {number} Collector efficiency (may be negative past stagnation)
+ */
+export const calculateCollectorEfficiency = (reducedTempDiff, irradiance, coefficients) => {
+  const { eta0, a1, a2 } = coefficients
+  return eta0 - a1 * reducedTempDiff - a2 * irradiance * reducedTempDiff ** 2
+}
+
+/**
+ * Calculate the useful heat gain of a rated collector for a given mean fluid temperature
+ * Q = A * (η0 * G_eff - a1 * ΔT - a2 * ΔT²), ΔT = T_m - T_a, clamped to zero
+ * The quadratic term keeps the sign of ΔT so a collector below ambient gains rather than loses.
+ *
+ * @param {number} effectiveIrradiance - IAM-weighted irradiance in W/m²
+ * @param {number} meanTemp - Mean collector fluid temperature in °C
+ * @param {number} ambientTemp - Ambient temperature in °C
+ * @param {number} panelArea - Collector aperture area in m²
+ * @param {object} coefficients - Efficiency curve coefficients eta0, a1 and a2
+ * @returns {number} Useful heat gain in Watts
+ */
+export const calculateCollectorHeatGain = (effectiveIrradiance, meanTemp, ambientTemp, panelArea, coefficients) => {
+  const { eta0, a1, a2 } = coefficients
+  const deltaT = meanTemp - ambientTemp
+  return Math.max(0, panelArea * (eta0 * effectiveIrradiance - a1 * deltaT - a2 * deltaT * Math.abs(deltaT)))
+}
+
+/**
+ * Calculate the stagnation temperature of a rated collector (no heat extracted)
+ * Solves η0 * G_eff = a1 * ΔT + a2 * ΔT² for ΔT = T_stag - T_a
+ *
+ * @param {number} effectiveIrradiance - IAM-weighted irradiance in W/m²
+ * @param {number} ambientTemp - Ambient temperature in °C
+ * @param {object} coefficients - Efficiency curve coefficients eta0, a1 and a2
+ * @returns {number} Stagnation temperature in °C
+ */
+export const calculateStagnationTemperature = (effectiveIrradiance, ambientTemp, coefficients) => {
+  const { eta0, a1, a2 } = coefficients
+  const absorbed = eta0 * Math.max(0, effectiveIrradiance)
+  if (absorbed <= 0) {
+    return ambientTemp
+  }
+  const deltaT = a2 > 0
+    ? (-a1 + Math.sqrt(a1 ** 2 + 4 * a2 * absorbed)) / (2 * a2)
+    : absorbed / a1
+  return ambientTemp + deltaT
+}
+
+/**
+ * Calculate the collector loop state for a rated collector
+ * The mean fluid temperature is the average of inlet and outlet, T_m = T_in + Q / (2 * m * c_p);
+ * substituting into the efficiency curve gives a quadratic in Q that is solved directly.
+ * Without loop flow the fluid is taken at the inlet temperature (immersed coil).
+ *
+ * @param {number} effectiveIrradiance - IAM-weighted irradiance in W/m²
+ * @param {number} inletTemp - Collector inlet temperature in °C
+ * @param {number} ambientTemp - Ambient temperature in °C
+ * @param {number} panelArea - Collector aperture area in m²
+ * @param {object} coefficients - Efficiency curve coefficients eta0, a1 and a2
+ * @param {number} massFlowRate - Collector loop mass flow rate in kg/s
+ * @param {number} fluidSpecificHeat - Specific heat of the loop fluid in J/(kg*K)
+ * @returns {object} Useful gain (W), outlet and mean fluid temperature (°C)
+ */
+export const calculateRatedCollectorLoop = (effectiveIrradiance, inletTemp, ambientTemp, panelArea, coefficients, massFlowRate, fluidSpecificHeat) => {
+  const capacityRate = massFlowRate * fluidSpecificHeat
+  if (!(capacityRate > 0)) {
+    const usefulGain = calculateCollectorHeatGain(effectiveIrradiance, inletTemp, ambientTemp, panelArea, coefficients)
+    return { usefulGain, outletTemp: inletTemp, meanTemp: inletTemp }
+  }
+
+  // Solve a*u² + b*u + c = 0 for the half temperature rise u = Q / (2 * m * c_p)
+  const { eta0, a1, a2 } = coefficients
+  const d0 = inletTemp - ambientTemp
+  const a = panelArea * a2
+  const b = 2 * capacityRate + panelArea * (a1 + 2 * a2 * d0)
+  const c = panelArea * (a1 * d0 + a2 * d0 ** 2 - eta0 * effectiveIrradiance)
+  const halfRise = a > 0 ? (-b + Math.sqrt(Math.max(0, b ** 2 - 4 * a * c))) / (2 * a) : -c / b
+
+  const usefulGain = Math.max(0, 2 * capacityRate * halfRise)
+  const outletTemp = inletTemp + usefulGain / capacityRate
+  return { usefulGain, outletTemp, meanTemp: (inletTemp + outletTemp) / 2 }
+}
+
+/**
+ * Sample the collector efficiency curve against the reduced temperature difference
+ * Runs from x = 0 to the stagnation point at the given irradiance.
+ *
+ * @param {object} coefficients - Efficiency curve coefficients eta0, a1 and a2
+ * @param {number} irradiance - Irradiance in W/m²
+ * @param {number} points - Number of samples. Default: 40
+ * @returns {array} Array of { x: reduced temperature difference (m²*K/W), y: efficiency (0-1) }
+ */
+export const sampleEfficiencyCurve = (coefficients, irradiance, points = 40) => {
+  const stagnationDelta = calculateStagnationTemperature(irradiance, 0, coefficients)
+  const maxReduced = stagnationDelta / irradiance
+  return Array.from({ length: points + 1 }, (_, i) => {
+    const x = (maxReduced * i) / points
+    return { x, y: Math.max(0, calculateCollectorEfficiency(x, irradiance, coefficients)) }
+  })
+}
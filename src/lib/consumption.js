@@ -0,0 +1,90 @@
+/**
+ * Hot Water Consumption Calculations
+ * Functions for draw-off schedules and the enthalpy removed from the tank by hot water use
+ */
+
+const WATER_SPECIFIC_HEAT = 4186 // J/(kg*K)
+
+/**
+ * EN 15316 / EN 16147 tapping profiles aggregated to hourly energy (kWh per hour of day)
+ * S: 2.100 kWh/day, M: 5.845 kWh/day, L: 11.655 kWh/day
+ */
+export const TAPPING_PROFILES = {
+  S: [0, 0, 0, 0, 0, 0, 0, 0.21, 0.105, 0.105, 0, 0.21, 0.315, 0, 0, 0, 0, 0, 0.21, 0, 0.42, 0.525, 0, 0],
+  M: [0, 0, 0, 0, 0, 0, 0, 1.61, 0.42, 0.21, 0.105, 0.21, 0.315, 0, 0.105, 0.105, 0.105, 0, 0.315, 0.105, 0.735, 1.505, 0, 0],
+  L: [0, 0, 0, 0, 0, 0, 0, 3.815, 0.42, 0.21, 0.105, 0.21, 0.315, 0, 0.105, 0.105, 0.105, 0, 0.315, 0.105, 0.735, 5.11, 0, 0],
+}
+
+/**
+ * Parse a custom hourly draw table
+ * Accepts an array or a comma/space separated string of 24 values (litres per hour).
+ * Missing hours are treated as zero draw and negative values are clamped to zero.
+ *
+ * @param {string|number[]} table - Hourly draw volumes in L/h at the delivery temperature
+ * @returns {number[]} 24 hourly draw volumes in L/h
+ */
+export const parseDrawProfile = (table) => {
+  const values = Array.isArray(table)
+    ? table
+    : String(table ?? '').split(/[\s,;]+/).filter(Boolean).map(parseFloat)
+
+  return Array.from({ length: 24 }, (_, hour) => Math.max(0, values[hour] || 0))
+}
+
+/**
+ * Calculate hot water demand at a given time
+ * Tapping profiles are defined as energy per hour; a custom table as litres per hour
+ * at the delivery temperature, heated from mains temperature.
+ *
+ * @param {number} t - Time in hours from the start of the first simulated day
+ * @param {object} params - Parameters object containing drawProfile, customDrawProfile, mainsTemp and deliveryTemp
+ * @returns {number} Demand power in Watts, spread uniformly over the hour
+ */
+export const calculateDrawDemand = (t, params) => {
+  const { drawProfile, customDrawProfile, mainsTemp, deliveryTemp } = params
+  const hour = Math.floor(((t % 24) + 24) % 24)
+
+  if (drawProfile === 'custom') {
+    const litresPerHour = parseDrawProfile(customDrawProfile)[hour]
+    return (litresPerHour * WATER_SPECIFIC_HEAT * Math.max(0, deliveryTemp - mainsTemp)) / 3600
+  }
+
+  const profile = TAPPING_PROFILES[drawProfile]
+  if (!profile) {
+    return 0
+  }
+  // kWh during one hour -> average W
+  return profile[hour] * 1000
+}
+
+/**
+ * Calculate the draw-off from the tank for a given demand
+ * A mixing valve blends tank water with mains water down to the delivery temperature.
+ * If the tank is colder than the delivery temperature, the demanded volume is drawn
+ * at tank temperature and the shortfall is reported as unmet demand.
+ *
+ * Q_removed = m_draw * c_p * (T_tank - T_mains)
+ *
+ * @param {number} demand - Demand power in Watts at the delivery temperature
+ * @param {number} tankTemp - Temperature of the water leaving the tank in °C
+ * @param {number} mainsTemp - Cold mains inlet temperature in °C
+ * @param {number} deliveryTemp - Target delivery temperature in °C
+ * @returns {object} Draw mass flow (kg/s), enthalpy removed from the tank, delivered and unmet power (W)
+ */
+export const calculateDrawOff = (demand, tankTemp, mainsTemp, deliveryTemp) => {
+  const usefulRise = deliveryTemp - mainsTemp
+  if (demand <= 0 || usefulRise <= 0) {
+    return { flowRate: 0, heatRemoved: 0, delivered: 0, unmet: 0 }
+  }
+
+  if (tankTemp >= deliveryTemp) {
+    // Tank water is tempered with mains water; only the hot fraction leaves the tank
+    const flowRate = demand / (WATER_SPECIFIC_HEAT * (tankTemp - mainsTemp))
+    return { flowRate, heatRemoved: demand, delivered: demand, unmet: 0 }
+  }
+
+  // Tank too cold: full demanded volume at tank temperature
+  const flowRate = demand / (WATER_SPECIFIC_HEAT * usefulRise)
+  const delivered = flowRate * WATER_SPECIFIC_HEAT * Math.max(0, tankTemp - mainsTemp)
+  return { flowRate, heatRemoved: delivered, delivered, unmet: demand - delivered }
+}
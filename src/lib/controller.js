@@ -0,0 +1,40 @@
+/**
+ * Pump Controller
+ * Differential thermostat that switches the collector loop pump
+ */
+
+/**
+ * Decide the pump state for the next timestep
+ * Differential control with hysteresis:
+ * - starts when T_collector - T_tank exceeds pumpOnDelta
+ * - stops when T_collector - T_tank drops below pumpOffDelta
+ * - otherwise keeps its current state
+ * An optional high limit stops the pump while the top of the tank is at or above tankHighLimit.
+ * With pumpControl 'none' the pump runs whenever there is irradiance on the collector.
+ *
+ * @param {boolean} pumpOn - Current pump state
+ * @param {number} collectorTemp - Collector sensor temperature in °C
+ * @param {number} tankTemp - Tank sensor temperature (collector inlet, bottom of tank) in °C
+ * @param {number} tankTopTemp - Temperature at the top of the tank in °C, checked against the high limit
+ * @param {number} irradiance - Irradiance on the collector in W/m²
+ * @param {object} params - Parameters object containing pumpControl, pumpOnDelta, pumpOffDelta and tankHighLimit
+ * @returns {boolean} Pump state for the next timestep
+ */
+export const updatePumpState = (pumpOn, collectorTemp, tankTemp, tankTopTemp, irradiance, params) => {
+  const { pumpControl, pumpOnDelta, pumpOffDelta, tankHighLimit } = params
+
+  if (pumpControl !== 'differential') {
+    return irradiance > 0
+  }
+
+  // High-limit cutoff, disabled when set to 0
+  if (tankHighLimit > 0 && tankTopTemp >= tankHighLimit) {
+    return false
+  }
+
+  const deltaT = collectorTemp - tankTemp
+  if (pumpOn) {
+    return deltaT >= pumpOffDelta
+  }
+  return deltaT > pumpOnDelta
+}
@@ -0,0 +1,75 @@
+/**
+ * Economic and Carbon Analysis
+ * Turns the simulated useful solar energy into savings, payback, NPV, LCOH and avoided CO₂
+ */
+
+import { runSystemSimulation, getSimulationDays } from './system.js'
+
+/**
+ * Scale the useful solar gain of the simulated horizon to one year
+ * @param {number} usefulSolar - Useful solar gain over the horizon in kWh
+ * @param {number} simulationDays - Number of simulated days
+ * @returns {number} Annual useful solar gain in kWh
+ */
+export const annualiseEnergy = (usefulSolar, simulationDays) => (usefulSolar * 365) / simulationDays
+
+/**
+ * Calculate the economics of a solar water heating system
+ * Solar heat displaces the backup fuel or electricity: E_displaced = Q_solar / η_heater.
+ * - Savings in year y:  S_y = E_displaced * price * (1 + e)^(y - 1)
+ * - Simple payback:     capital / S_1
+ * - NPV:                -capital + Σ S_y / (1 + d)^y
+ * - LCOH:               capital / Σ Q_solar / (1 + d)^y
+ * Pump electricity and maintenance are not included.
+ *
+ * @param {number} annualSolar - Annual useful solar gain in kWh
+ * @param {object} params - Parameters object containing capitalCost, energyPrice, displacedHeaterEfficiency,
+ *                          priceEscalation (%), discountRate (%), lifetime (years) and co2Intensity (kg/kWh)
+ * @returns {object} Annual displaced energy (kWh), first-year savings, simple payback (years, null if never),
+ *                   NPV, LCOH (per kWh), avoided CO₂ per year and over the lifetime (kg), and yearly cash flows
+ */
+export const calculateEconomics = (annualSolar, params) => {
+  const { capitalCost, energyPrice, displacedHeaterEfficiency, priceEscalation, discountRate, co2Intensity } = params
+  const lifetime = Math.max(1, Math.round(params.lifetime || 1))
+  const escalation = priceEscalation / 100
+  const discount = discountRate / 100
+
+  const displacedEnergy = displacedHeaterEfficiency > 0 ? annualSolar / displacedHeaterEfficiency : 0
+  const firstYearSavings = displacedEnergy * energyPrice
+
+  let cumulative = -capitalCost
+  let cumulativeDiscounted = -capitalCost
+  let discountedEnergy = 0
+  const cashFlows = [{ year: 0, savings: 0, cumulative, cumulativeDiscounted }]
+  for (let year = 1; year <= lifetime; year++) {
+    const savings = firstYearSavings * (1 + escalation) ** (year - 1)
+    const discountFactor = (1 + discount) ** year
+    cumulative += savings
+    cumulativeDiscounted += savings / discountFactor
+    discountedEnergy += annualSolar / discountFactor
+    cashFlows.push({ year, savings, cumulative, cumulativeDiscounted })
+  }
+
+  return {
+    annualSolar,
+    displacedEnergy,
+    firstYearSavings,
+    simplePayback: firstYearSavings > 0 ? capitalCost / firstYearSavings : null,
+    npv: cumulativeDiscounted,
+    lcoh: discountedEnergy > 0 ? capitalCost / discountedEnergy : null,
+    annualCo2: displacedEnergy * co2Intensity,
+    lifetimeCo2: displacedEnergy * co2Intensity * lifetime,
+    cashFlows,
+  }
+}
+
+/**
+ * Run the system and evaluate its economics from the annualised useful solar gain
+ * @param {object} parameters - All simulation parameters
+ * @returns {object} Result of calculateEconomics
+ */
+export const simulateEconomics = (parameters) => {
+  const result = runSystemSimulation(parameters)
+  const annualSolar = annualiseEnergy(result.summaries.collector.solar, getSimulationDays(parameters))
+  return calculateEconomics(annualSolar, parameters)
+}
@@ -0,0 +1,74 @@
+/**
+ * Result Export
+ * Writes plot series as a wide CSV table or as a structured JSON document with the inputs used
+ */
+
+export const RESULTS_FORMAT = 'solar-water-heating-results'
+
+const TIME_COLUMN = 'Time (h)'
+
+// Column header with the unit, unless the series id already ends with it; the unit goes
+// before the scenario name of an overlaid series, e.g. 'Heat In (W) [Current]'
+const getColumnName = (series) => {
+  const baseId = series.baseId ?? series.id
+  if (!series.unit || baseId.endsWith(`(${series.unit})`)) {
+    return series.id
+  }
+  return series.scenario ? `${baseId} (${series.unit}) [${series.scenario}]` : `${baseId} (${series.unit})`
+}
+
+const escapeCsv = (value) => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value)
+
+/**
+ * Write time series as a wide CSV table
+ * One time column in hours and one column per series with its unit in the header. Series
+ * sampled at other times, like the daily aggregates, leave the cells between their samples
+ * empty; series plotted against something other than time (xLabel) are left out.
+ *
+ * @param {array} series - Plot data series
+ * @returns {string} CSV text with a header row
+ */
+export const seriesToCsv = (series) => {
+  const timeSeries = series.filter((s) => !s.xLabel)
+  const times = [...new Set(timeSeries.flatMap((s) => s.data.map((point) => point.x)))].sort((a, b) => a - b)
+  const columns = timeSeries.map((s) => new Map(s.data.map((point) => [point.x, point.y])))
+
+  const header = [TIME_COLUMN, ...timeSeries.map(getColumnName)].map(escapeCsv).join(',')
+  const rows = times.map((t) => [t, ...columns.map((column) => (column.has(t) ? column.get(t) : ''))].join(','))
+  return [header, ...rows].join('\n')
+}
+
+/**
+ * Write a result set as JSON
+ * Imported weather records are summarised by file name, format and record count instead of copied.
+ *
+ * @param {object} results - {title, section, fullResolution, parameters, series, scenarios}, scenarios
+ *                           [{name, parameters}] for the overlaid series (optional)
+ * @returns {string} JSON with format, export time, the input parameters and every series as [x, y] pairs
+ */
+export const resultsToJson = ({ title, section, fullResolution, parameters, series, scenarios = [] }) => {
+  const { weather, ...inputs } = parameters
+  return JSON.stringify({
+    format: RESULTS_FORMAT,
+    exportedAt: new Date().toISOString(),
+    title,
+    section,
+    resolution: fullResolution ? 'timestep' : 'plot',
+    parameters: inputs,
+    weather: weather ? { name: weather.name, format: weather.format, records: weather.records.length } : null,
+    ...(scenarios.length > 0 && {
+      scenarios: scenarios.map((scenario) => {
+        const { weather: scenarioWeather, ...scenarioInputs } = scenario.parameters
+        return { name: scenario.name, parameters: scenarioInputs, weather: scenarioWeather?.name ?? null }
+      }),
+    }),
+    series: series.map((s) => ({
+      id: s.id,
+      unit: s.unit ?? null,
+      x: s.xLabel || TIME_COLUMN,
+      ...(s.scenario && { scenario: s.scenario }),
+      ...(s.aggregate && { aggregate: s.aggregate }),
+      data: s.data.map((point) => [point.x, point.y]),
+    })),
+  })
+}
@@ -0,0 +1,122 @@
+/**
+ * Numerical Integrators
+ * Explicit Runge-Kutta methods that advance a state vector y' = f(y) over one timestep
+ */
+
+// Dormand-Prince 5(4) tableau: stage coefficients, 5th order solution and embedded 4th order solution
+const DOPRI_A = [
+  [],
+  [1 / 5],
+  [3 / 40, 9 / 40],
+  [44 / 45, -56 / 15, 32 / 9],
+  [19372 / 6561, -25360 / 2187, 64448 / 6561, -212 / 729],
+  [9017 / 3168, -355 / 33, 46732 / 5247, 49 / 176, -5103 / 18656],
+  [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84],
+]
+const DOPRI_B5 = [35 / 384, 0, 500 / 1113, 125 / 192, -2187 / 6784, 11 / 84, 0]
+const DOPRI_B4 = [5179 / 57600, 0, 7571 / 16695, 393 / 640, -92097 / 339200, 187 / 2100, 1 / 40]
+
+// Adaptive step size control: safety factor, growth limits and smallest substep in seconds
+const SAFETY = 0.9
+const MIN_FACTOR = 0.2
+const MAX_FACTOR = 5
+const MIN_SUBSTEP = 0.01
+
+/**
+ * Available integration methods and their labels
+ * - euler: explicit Euler, 1st order, one evaluation per step
+ * - heun:  Heun's method (explicit trapezoidal), 2nd order, two evaluations
+ * - rk4:   classical Runge-Kutta, 4th order, four evaluations
+ * - rk45:  Dormand-Prince 5(4) with adaptive substeps inside each timestep
+ */
+export const INTEGRATORS = {
+  euler: 'Euler',
+  heun: 'Heun',
+  rk4: 'RK4',
+  rk45: 'RK45 (adaptive)',
+}
+
+// y + sum(c_i * k_i) * h, skipping zero coefficients
+const combine = (y, coefficients, stages, h) => y.map((value, i) => {
+  let sum = 0
+  for (let s = 0; s < coefficients.length; s++) {
+    if (coefficients[s] !== 0) sum += coefficients[s] * stages[s][i]
+  }
+  return value + sum * h
+})
+
+/**
+ * Create an integrator for the selected method
+ * The returned step function advances the state by one timestep and counts derivative
+ * evaluations and substeps; rk45 keeps its last accepted substep size between calls.
+ *
+ * @param {string} method - 'euler', 'heun', 'rk4' or 'rk45'
+ * @param {object} options - tolerance: largest local error per substep for rk45, in state units. Default: 0.01
+ * @returns {object} step(derivative, y, dt) returning the new state, and stats { evaluations, substeps, rejected }
+ */
+export const createIntegrator = (method, { tolerance = 0.01 } = {}) => {
+  const stats = { evaluations: 0, substeps: 0, rejected: 0 }
+  let substepHint = Infinity
+
+  const evaluate = (derivative, y) => {
+    stats.evaluations++
+    return derivative(y)
+  }
+
+  const fixedStep = {
+    euler: (derivative, y, h) => combine(y, [1], [evaluate(derivative, y)], h),
+    heun: (derivative, y, h) => {
+      const k1 = evaluate(derivative, y)
+      const k2 = evaluate(derivative, combine(y, [1], [k1], h))
+      return combine(y, [0.5, 0.5], [k1, k2], h)
+    },
+    rk4: (derivative, y, h) => {
+      const k1 = evaluate(derivative, y)
+      const k2 = evaluate(derivative, combine(y, [0.5], [k1], h))
+      const k3 = evaluate(derivative, combine(y, [0.5], [k2], h))
+      const k4 = evaluate(derivative, combine(y, [1], [k3], h))
+      return combine(y, [1 / 6, 1 / 3, 1 / 3, 1 / 6], [k1, k2, k3, k4], h)
+    },
+  }
+
+  const adaptiveStep = (derivative, y, dt) => {
+    const tol = Math.max(1e-9, tolerance)
+    let t = 0
+    let h = Math.min(dt, substepHint)
+    let state = y
+    while (t < dt - 1e-9) {
+      h = Math.min(h, dt - t)
+      const stages = []
+      for (let s = 0; s < DOPRI_A.length; s++) {
+        stages.push(evaluate(derivative, s === 0 ? state : combine(state, DOPRI_A[s], stages, h)))
+      }
+      const next = combine(state, DOPRI_B5, stages, h)
+      const lower = combine(state, DOPRI_B4, stages, h)
+      const error = next.reduce((max, value, i) => Math.max(max, Math.abs(value - lower[i])), 0)
+
+      const factor = error > 0 ? Math.min(MAX_FACTOR, Math.max(MIN_FACTOR, SAFETY * (tol / error) ** 0.2)) : MAX_FACTOR
+      if (error <= tol || h <= MIN_SUBSTEP) {
+        t += h
+        state = next
+        stats.substeps++
+        // Carry the grown substep over to the next timestep
+        substepHint = Math.max(MIN_SUBSTEP, h * factor)
+        h = substepHint
+      } else {
+        stats.rejected++
+        h = Math.max(MIN_SUBSTEP, h * factor)
+      }
+    }
+    return state
+  }
+
+  const step = (derivative, y, dt) => {
+    if (method === 'rk45') {
+      return adaptiveStep(derivative, y, dt)
+    }
+    stats.substeps++
+    return (fixedStep[method] || fixedStep.euler)(derivative, y, dt)
+  }
+
+  return { step, stats }
+}
@@ -3,19 +3,49 @@
  * Functions for calculating and simulating solar irradiance
  */
 
+import { interpolateWeather, isWeatherDriven } from './weather.js'
+import { calculateCloudTransmittance, isCloudModelActive } from './clouds.js'
+
+const DEG_TO_RAD = Math.PI / 180
+const RAD_TO_DEG = 180 / Math.PI
+
+// Solar constant in W/m²
+const SOLAR_CONSTANT = 1367
+
+// cos(85°): below this sun elevation beam geometry ratios are unreliable
+const MIN_COS_ZENITH = 0.087
+
 /**
- * Calculate solar irradiance at a given time
- * @param {number} t - Time in hours (0-24)
+ * Resolve simulation time into a day of the year and an hour of that day
+ * Multi-day runs advance the day from params.dayOfYear, wrapping after day 365.
+ *
+ * @param {number} t - Time in hours from the start of the first simulated day
+ * @param {number} dayOfYear - Day of the year of the first simulated day (1-365)
+ * @returns {object} Day of the year (day) and clock hour of that day (hour, 0-24)
+ */
+export const resolveSimulationTime = (t, dayOfYear) => {
+  const dayOffset = Math.floor(t / 24)
+  return {
+    day: ((dayOfYear - 1 + dayOffset) % 365 + 365) % 365 + 1,
+    hour: t - dayOffset * 24,
+  }
+}
+
+/**
+ * Calculate solar irradiance from the hand-tuned cosine profile
+ * The same daily curve repeats every 24 hours.
+ * @param {number} t - Time in hours from the start of the first simulated day
  * @param {object} params - Parameters object containing irradiance settings
  * @returns {number} Solar irradiance in W/m²
  */
-export const calculateSolarIrradiance = (t, params) => {
+export const calculateCosineIrradiance = (t, params) => {
   const { irradianceStartHour, irradianceEndHour, irradiancePeakHour, solarIrradiancePeak } = params
+  const { hour } = resolveSimulationTime(t, 1)
 
   let irradiance = 0
-  if (t >= irradianceStartHour && t <= irradianceEndHour) {
+  if (hour >= irradianceStartHour && hour <= irradianceEndHour) {
     // Daytime: model as a cosine curve peaking at specified peak hour
-    const fractionOfDay = (t - irradianceStartHour) / (irradianceEndHour - irradianceStartHour)
+    const fractionOfDay = (hour - irradianceStartHour) / (irradianceEndHour - irradianceStartHour)
     // Calculate where the peak occurs as a fraction of the day
     const peakFraction = (irradiancePeakHour - irradianceStartHour) / (irradianceEndHour - irradianceStartHour)
     // Apply cosine curve centered at the specified peak hour
@@ -26,28 +56,281 @@ export const calculateSolarIrradiance = (t, params) => {
 }
 
 /**
- * Simulate solar irradiance profile over 24 hours
+ * Calculate the position of the sun at a given local clock time
+ * Uses Spencer's Fourier series for declination and equation of time.
+ *
+ * Solar time = clock time + (4 * (longitude - 15 * timeZone) + EoT) / 60
+ * Hour angle ω = 15° * (solar time - 12)
+ * cos(θz) = sin(φ) sin(δ) + cos(φ) cos(δ) cos(ω)
+ *
+ * @param {number} t - Local clock time in hours from the start of the first simulated day
+ * @param {object} params - Parameters object containing latitude, longitude, dayOfYear and timeZone
+ * @returns {object} Day of the year, declination, equation of time, solar time, hour angle, zenith and azimuth angles (degrees)
+ */
+export const calculateSolarPosition = (t, params) => {
+  const { latitude, longitude, timeZone } = params
+  const { day: dayOfYear, hour } = resolveSimulationTime(t, params.dayOfYear)
+
+  // Day angle in radians
+  const B = (2 * Math.PI * (dayOfYear - 1)) / 365
+
+  const declination = (
+    0.006918
+    - 0.399912 * Math.cos(B) + 0.070257 * Math.sin(B)
+    - 0.006758 * Math.cos(2 * B) + 0.000907 * Math.sin(2 * B)
+    - 0.002697 * Math.cos(3 * B) + 0.00148 * Math.sin(3 * B)
+  ) * RAD_TO_DEG
+
+  // Equation of time in minutes
+  const equationOfTime = 229.18 * (
+    0.000075
+    + 0.001868 * Math.cos(B) - 0.032077 * Math.sin(B)
+    - 0.014615 * Math.cos(2 * B) - 0.040849 * Math.sin(2 * B)
+  )
+
+  // Longitude is positive east, time zone is the UTC offset in hours
+  const solarTime = hour + (4 * (longitude - 15 * timeZone) + equationOfTime) / 60
+  const hourAngle = 15 * (solarTime - 12)
+
+  const phi = latitude * DEG_TO_RAD
+  const delta = declination * DEG_TO_RAD
+  const omega = hourAngle * DEG_TO_RAD
+  const cosZenith = Math.sin(phi) * Math.sin(delta) + Math.cos(phi) * Math.cos(delta) * Math.cos(omega)
+  const zenith = Math.acos(Math.max(-1, Math.min(1, cosZenith))) * RAD_TO_DEG
+
+  // Solar azimuth measured from south (west positive), then converted to clockwise from north
+  const sinZenith = Math.sin(zenith * DEG_TO_RAD)
+  let azimuthFromSouth = 0
+  if (sinZenith > 1e-6 && Math.cos(phi) > 1e-6) {
+    const cosAzimuth = (cosZenith * Math.sin(phi) - Math.sin(delta)) / (sinZenith * Math.cos(phi))
+    azimuthFromSouth = Math.sign(hourAngle) * Math.acos(Math.max(-1, Math.min(1, cosAzimuth))) * RAD_TO_DEG
+  }
+  const azimuth = azimuthFromSouth + 180
+
+  return { dayOfYear, declination, equationOfTime, solarTime, hourAngle, zenith, cosZenith, azimuth }
+}
+
+/**
+ * Calculate extraterrestrial normal irradiance for a day of the year
+ * G_on = G_sc * (1 + 0.033 * cos(360° * n / 365))
+ *
+ * @param {number} dayOfYear - Day of the year (1-365)
+ * @returns {number} Extraterrestrial irradiance on a plane normal to the sun in W/m²
+ */
+export const calculateExtraterrestrialIrradiance = (dayOfYear) => {
+  return SOLAR_CONSTANT * (1 + 0.033 * Math.cos((2 * Math.PI * dayOfYear) / 365))
+}
+
+/**
+ * Calculate clear-sky irradiance at a given time from the sun's position
+ * Beam: Meinel model with Kasten-Young air mass, DNI = G_on * 0.7^(AM^0.678)
+ * Diffuse: approximated as 10% of the beam normal irradiance
+ *
+ * @param {number} t - Local clock time in hours from the start of the first simulated day
+ * @param {object} params - Parameters object containing location and date settings
+ * @returns {object} Global horizontal (ghi), direct normal (dni) and diffuse horizontal (dhi) irradiance in W/m²
+ */
+export const calculateClearSkyIrradiance = (t, params) => {
+  const { dayOfYear, zenith, cosZenith } = calculateSolarPosition(t, params)
+
+  if (cosZenith <= 0) {
+    return { ghi: 0, dni: 0, dhi: 0 }
+  }
+
+  const airMass = 1 / (cosZenith + 0.50572 * Math.pow(96.07995 - zenith, -1.6364))
+  const dni = calculateExtraterrestrialIrradiance(dayOfYear) * Math.pow(0.7, Math.pow(airMass, 0.678))
+  const dhi = 0.1 * dni
+  const ghi = dni * cosZenith + dhi
+
+  return { ghi, dni, dhi }
+}
+
+/**
+ * Split global horizontal irradiance into beam and diffuse parts
+ * Erbs correlation for the diffuse fraction as a function of the clearness index k_t = GHI / (G_on * cos θz),
+ * so DNI stays below the extraterrestrial irradiance G_on
+ *
+ * @param {number} ghi - Global horizontal irradiance in W/m²
+ * @param {object} position - Solar position from calculateSolarPosition
+ * @returns {object} Global horizontal (ghi), direct normal (dni) and diffuse horizontal (dhi) irradiance in W/m²
+ */
+export const decomposeGlobalIrradiance = (ghi, position) => {
+  // With the sun at or near the horizon all measured irradiance is treated as diffuse, and so is a
+  // global value above the extraterrestrial irradiance on the horizontal (k_t >= 1), as a synthetic
+  // profile can give with a low sun: no beam could carry it, and splitting it would put DNI above G_on
+  const kt = ghi / (calculateExtraterrestrialIrradiance(position.dayOfYear) * position.cosZenith)
+  if (ghi <= 0 || position.cosZenith <= MIN_COS_ZENITH || kt >= 1) {
+    return { ghi, dni: 0, dhi: Math.max(0, ghi) }
+  }
+
+  let diffuseFraction
+  if (kt <= 0.22) {
+    diffuseFraction = 1 - 0.09 * kt
+  } else if (kt <= 0.8) {
+    diffuseFraction = 0.9511 - 0.1604 * kt + 4.388 * kt ** 2 - 16.638 * kt ** 3 + 12.336 * kt ** 4
+  } else {
+    diffuseFraction = 0.165
+  }
+
+  const dhi = ghi * diffuseFraction
+  const dni = (ghi - dhi) / position.cosZenith
+  return { ghi, dni, dhi }
+}
+
+/**
+ * Calculate the cosine of the angle of incidence of beam radiation on the collector
+ * cos θ = cos θz cos β + sin θz sin β cos(γs - γ)
+ *
+ * @param {object} position - Solar position from calculateSolarPosition
+ * @param {number} collectorTilt - Collector tilt from horizontal in degrees
+ * @param {number} collectorAzimuth - Collector azimuth clockwise from north in degrees (180 = south)
+ * @returns {number} Cosine of the angle of incidence, negative when the sun is behind the collector
+ */
+export const calculateIncidenceAngleCosine = (position, collectorTilt, collectorAzimuth) => {
+  const zenith = position.zenith * DEG_TO_RAD
+  const beta = collectorTilt * DEG_TO_RAD
+  const azimuthDifference = (position.azimuth - collectorAzimuth) * DEG_TO_RAD
+  return Math.cos(zenith) * Math.cos(beta) + Math.sin(zenith) * Math.sin(beta) * Math.cos(azimuthDifference)
+}
+
+/**
+ * Calculate horizontal irradiance components at a given time
+ * An imported weather file supplies measured GHI, DNI and DHI directly.
+ * Otherwise astronomical mode uses the clear-sky beam/diffuse split,
+ * cosine mode decomposes its global value with the Erbs correlation.
+ * With the cloud model active, clouded periods scale GHI by the cloud transmittance
+ * and split it again with the Erbs correlation, so beam drops more than diffuse.
+ *
+ * @param {number} t - Local clock time in hours from the start of the first simulated day
+ * @param {object} params - Parameters object containing irradiance settings
+ * @returns {object} ghi, dni, dhi, horizontal beam (in W/m²) and the solar position
+ */
+export const calculateIrradianceComponents = (t, params) => {
+  const position = calculateSolarPosition(t, params)
+  let components
+  if (isWeatherDriven(params)) {
+    components = interpolateWeather(t, params)
+  } else if (params.irradianceModel === 'astronomical') {
+    components = calculateClearSkyIrradiance(t, params)
+  } else {
+    components = decomposeGlobalIrradiance(calculateCosineIrradiance(t, params), position)
+  }
+
+  const transmittance = calculateCloudTransmittance(t, params)
+  if (transmittance < 1) {
+    components = decomposeGlobalIrradiance(components.ghi * transmittance, position)
+  }
+  const { ghi, dni, dhi } = components
+
+  return { ghi, dni, dhi, beam: Math.max(0, ghi - dhi), position }
+}
+
+/**
+ * Calculate plane-of-array irradiance on the tilted collector
+ * Transposes horizontal beam and diffuse irradiance with the sky model selected by params.skyModel:
+ * - 'isotropic':  I_d,T = DHI * (1 + cos β) / 2
+ * - 'hayDavies':  I_d,T = DHI * (A_i * R_b + (1 - A_i) * (1 + cos β) / 2), A_i = DNI / G_on
+ * Ground-reflected: I_g,T = GHI * ρ * (1 - cos β) / 2
+ *
+ * @param {number} t - Local clock time in hours from the start of the first simulated day
+ * @param {object} params - Parameters object containing irradiance and collector orientation settings
+ * @returns {object} Horizontal components plus poaBeam, poaDiffuse, poaGround and total poa in W/m², and cosIncidence
+ */
+export const calculatePlaneOfArrayIrradiance = (t, params) => {
+  const { collectorTilt, collectorAzimuth, groundAlbedo, skyModel } = params
+  const components = calculateIrradianceComponents(t, params)
+  const { ghi, dni, dhi, position } = components
+
+  const cosIncidence = Math.max(0, calculateIncidenceAngleCosine(position, collectorTilt, collectorAzimuth))
+  const cosTilt = Math.cos(collectorTilt * DEG_TO_RAD)
+  const skyViewFactor = (1 + cosTilt) / 2
+
+  const poaBeam = dni * cosIncidence
+
+  let poaDiffuse = dhi * skyViewFactor
+  if (skyModel === 'hayDavies' && dni > 0) {
+    const anisotropyIndex = Math.min(1, dni / calculateExtraterrestrialIrradiance(position.dayOfYear))
+    const beamRatio = cosIncidence / Math.max(position.cosZenith, MIN_COS_ZENITH)
+    poaDiffuse = dhi * (anisotropyIndex * beamRatio + (1 - anisotropyIndex) * skyViewFactor)
+  }
+
+  const poaGround = ghi * groundAlbedo * (1 - cosTilt) / 2
+
+  return {
+    ...components,
+    cosIncidence,
+    poaBeam,
+    poaDiffuse,
+    poaGround,
+    poa: poaBeam + poaDiffuse + poaGround,
+  }
+}
+
+/**
+ * Calculate solar irradiance at a given time
+ * Uses the imported weather file when params.weatherSource is 'file', otherwise
+ * dispatches to the irradiance model selected by params.irradianceModel:
+ * 'cosine' (hand-tuned profile) or 'astronomical' (solar position and clear sky),
+ * attenuated by the cloud model when params.cloudModel is 'markov'
+ *
+ * @param {number} t - Time in hours from the start of the first simulated day
+ * @param {object} params - Parameters object containing irradiance settings
+ * @returns {number} Global horizontal solar irradiance in W/m²
+ */
+export const calculateSolarIrradiance = (t, params) => {
+  if (isWeatherDriven(params)) {
+    return interpolateWeather(t, params).ghi
+  }
+  const clearSky = params.irradianceModel === 'astronomical'
+    ? calculateClearSkyIrradiance(t, params).ghi
+    : calculateCosineIrradiance(t, params)
+  return clearSky * calculateCloudTransmittance(t, params)
+}
+
+/**
+ * Create the irradiance component model
+ * Samples horizontal components and plane-of-array irradiance on the collector at every step.
+ * With the cloud model active the clear-sky global and plane-of-array values are
+ * recorded as well, for comparison with the cloudy ones.
+ *
+ * Publishes signals: poa (result of calculatePlaneOfArrayIrradiance)
+ *
  * @param {object} parameters - All simulation parameters
- * @returns {array} Array of plot data series
+ * @returns {object} Component model for runSimulation
  */
-export const simulateSolarIrradiance = (parameters) => {
-  const irradianceData = []
-  const hoursInDay = 24
+export const createIrradianceModel = (parameters) => {
+  const cloudy = isCloudModelActive(parameters)
+  const clearParameters = { ...parameters, cloudModel: 'none' }
+  let poa = null
 
-  for (let t = 0; t < hoursInDay; t += 0.5) {
-    const irradiance = calculateSolarIrradiance(t, parameters)
-    irradianceData.push({
-      x: parseFloat(t.toFixed(2)),
-      y: parseFloat(irradiance.toFixed(2)),
-    })
+  const update = (context) => {
+    poa = calculatePlaneOfArrayIrradiance(context.t, parameters)
+    context.signals.poa = poa
   }
 
-  return [
-    {
-      id: 'Solar Irradiance',
-      color: 'hsl(44, 100%, 50%)',
-      data: irradianceData,
+  return {
+    id: 'irradiance',
+    channels: {
+      ghi: { label: 'Global Horizontal', unit: 'W/m²', quantity: 'irradiance' },
+      beam: { label: 'Beam Horizontal', unit: 'W/m²', quantity: 'irradiance' },
+      dhi: { label: 'Diffuse Horizontal', unit: 'W/m²', quantity: 'irradiance' },
+      poa: { label: 'Plane of Array', unit: 'W/m²', quantity: 'irradiance' },
+      ...(cloudy ? {
+        clearSkyGhi: { label: 'Clear-Sky Global Horizontal', unit: 'W/m²', quantity: 'irradiance' },
+        clearSkyPoa: { label: 'Clear-Sky Plane of Array', unit: 'W/m²', quantity: 'irradiance' },
+      } : {}),
+    },
+    init: update,
+    step: update,
+    output: (context) => {
+      const values = { ghi: poa.ghi, beam: poa.beam, dhi: poa.dhi, poa: poa.poa }
+      if (cloudy) {
+        // Only evaluated at output times, the clear sky does not feed the other components
+        const clear = calculatePlaneOfArrayIrradiance(context.t, clearParameters)
+        values.clearSkyGhi = clear.ghi
+        values.clearSkyPoa = clear.poa
+      }
+      return values
     },
-  ]
+  }
 }
-
@@ -1,8 +1,16 @@
 /**
  * Solar Panel Calculations
- * Functions for panel efficiency, temperature, output, and performance simulation
+ * Functions for panel efficiency, temperature, output, and the collector loop component model
  */
 
+import {
+  getCollectorCoefficients,
+  calculateEffectiveIrradiance,
+  calculateStagnationTemperature,
+  calculateRatedCollectorLoop,
+} from './collector.js'
+import { updatePumpState } from './controller.js'
+
 /**
  * Calculate panel efficiency based on temperature
  * Model temperature-dependent panel efficiency.
@@ -57,23 +65,81 @@ export const calculatePanelTemperature = (irradiance, ambientTemp, panelArea, ef
   return panelTemp
 }
 
+/**
+ * Calculate the collector heat removal factor (Hottel-Whillier-Bliss)
+ * F_R = (m * c_p / (A * U_L)) * (1 - exp(-A * U_L * F' / (m * c_p)))
+ *
+ * @param {number} massFlowRate - Collector loop mass flow rate in kg/s
+ * @param {number} fluidSpecificHeat - Specific heat of the loop fluid in J/(kg*K)
+ * @param {number} panelArea - Panel area in m²
+ * @param {number} panelUValue - Panel U-value (overall loss coefficient U_L) in W/(m²*K)
+ * @param {number} collectorEfficiencyFactor - Collector efficiency factor F' (0-1)
+ * @returns {number} Heat removal factor F_R (0-1)
+ */
+export const calculateHeatRemovalFactor = (massFlowRate, fluidSpecificHeat, panelArea, panelUValue, collectorEfficiencyFactor) => {
+  const capacityRate = massFlowRate * fluidSpecificHeat
+  if (capacityRate <= 0) {
+    return 0
+  }
+  const lossRate = panelArea * panelUValue
+  return (capacityRate / lossRate) * (1 - Math.exp(-(lossRate * collectorEfficiencyFactor) / capacityRate))
+}
+
+/**
+ * Calculate the collector loop state for a given inlet temperature (Hottel-Whillier-Bliss)
+ * Useful gain:  Q_u = A * F_R * (G * (τα) - U_L * (T_in - T_ambient))
+ * Outlet:       T_out = T_in + Q_u / (m * c_p)
+ * The reference efficiency is used as the optical efficiency (τα). Negative gain is
+ * clamped to zero: a collector colder than its inlet cannot push heat into the loop.
+ *
+ * @param {number} irradiance - Irradiance on the collector in W/m²
+ * @param {number} inletTemp - Collector inlet temperature in °C
+ * @param {number} ambientTemp - Ambient temperature in °C
+ * @param {number} panelArea - Panel area in m²
+ * @param {number} panelUValue - Panel U-value (overall loss coefficient U_L) in W/(m²*K)
+ * @param {number} opticalEfficiency - Transmittance-absorptance product (τα)
+ * @param {number} massFlowRate - Collector loop mass flow rate in kg/s
+ * @param {number} fluidSpecificHeat - Specific heat of the loop fluid in J/(kg*K)
+ * @param {number} collectorEfficiencyFactor - Collector efficiency factor F' (0-1)
+ * @returns {object} Heat removal factor, useful gain (W) and outlet temperature (°C)
+ */
+export const calculateCollectorLoop = (irradiance, inletTemp, ambientTemp, panelArea, panelUValue, opticalEfficiency, massFlowRate, fluidSpecificHeat, collectorEfficiencyFactor) => {
+  const heatRemovalFactor = calculateHeatRemovalFactor(massFlowRate, fluidSpecificHeat, panelArea, panelUValue, collectorEfficiencyFactor)
+  const gain = panelArea * heatRemovalFactor * (irradiance * opticalEfficiency - panelUValue * (inletTemp - ambientTemp))
+  const usefulGain = Math.max(0, gain)
+  const outletTemp = heatRemovalFactor > 0 ? inletTemp + usefulGain / (massFlowRate * fluidSpecificHeat) : inletTemp
+
+  return { heatRemovalFactor, usefulGain, outletTemp }
+}
+
 /**
  * Calculate heat output from the solar panel to the tank
  * The panel collects solar energy but also loses heat to the environment.
  * Net output = solar_collected - heat_loss_from_panel
+ *
+ * With a positive mass flow rate the collector loop model is used: the tank temperature
+ * is the collector inlet temperature, so a hot tank reduces the useful gain.
+ * Without flow the panel output is the temperature-dependent efficiency times irradiance.
  * 
  * @param {number} solarIrradiance - Solar irradiance in W/m²
  * @param {number} panelTemp - Panel temperature in °C
- * @param {number} tankTemp - Tank temperature in °C
+ * @param {number} tankTemp - Tank temperature in °C (collector inlet temperature)
  * @param {number} ambientTemp - Ambient temperature in °C
  * @param {number} panelArea - Panel area in m²
  * @param {number} panelUValue - Panel U-value in W/(m²*K)
  * @param {number} efficiencyRef - Reference efficiency
  * @param {number} panelRefTemp - Reference temperature for efficiency rating in °C
  * @param {number} panelTempCoefficient - Temperature coefficient for efficiency loss
+ * @param {number} massFlowRate - Collector loop mass flow rate in kg/s. Default: 0 (no loop)
+ * @param {number} fluidSpecificHeat - Specific heat of the loop fluid in J/(kg*K). Default: 4186 (water)
+ * @param {number} collectorEfficiencyFactor - Collector efficiency factor F'. Default: 0.95
  * @returns {number} Heat power output in Watts
  */
-export const calculatePanelOutput = (solarIrradiance, panelTemp, tankTemp, ambientTemp, panelArea, panelUValue = 5.0, efficiencyRef = 0.70, panelRefTemp = 25.0, panelTempCoefficient = 0.004) => {
+export const calculatePanelOutput = (solarIrradiance, panelTemp, tankTemp, ambientTemp, panelArea, panelUValue = 5.0, efficiencyRef = 0.70, panelRefTemp = 25.0, panelTempCoefficient = 0.004, massFlowRate = 0, fluidSpecificHeat = 4186, collectorEfficiencyFactor = 0.95) => {
+  if (massFlowRate > 0) {
+    return calculateCollectorLoop(solarIrradiance, tankTemp, ambientTemp, panelArea, panelUValue, efficiencyRef, massFlowRate, fluidSpecificHeat, collectorEfficiencyFactor).usefulGain
+  }
+
   // Collect solar energy (accounting for temperature-dependent efficiency)
   const efficiency = calculatePanelEfficiency(panelTemp, efficiencyRef, panelRefTemp, panelTempCoefficient)
   const solarCollected = solarIrradiance * panelArea * efficiency
@@ -82,80 +148,198 @@ export const calculatePanelOutput = (solarIrradiance, panelTemp, tankTemp, ambie
 }
 
 /**
- * Simulate solar panel performance profile
+ * Advance the collector temperature over one timestep with its thermal mass
+ * Single-node collector: absorber, glazing and fluid content share one temperature T_c
+ * and the loop fluid leaves the collector at T_c.
+ * C * dT_c/dt = Q_absorbed - Q_loss(T_c) - m * c_p * (T_c - T_in)
+ * Solved implicitly with the losses linearised around the current temperature, so the
+ * step stays stable even when it exceeds the collector time constant.
+ *
+ * @param {number} collectorTemp - Collector temperature at the start of the step in °C
+ * @param {object} poa - Plane-of-array irradiance from calculatePlaneOfArrayIrradiance
+ * @param {number} inletTemp - Collector inlet temperature in °C
+ * @param {number} ambientTemp - Ambient temperature in °C
+ * @param {number} loopCapacityRate - Loop flow capacity rate m * c_p in W/K, 0 with the pump off
+ * @param {number} dt - Timestep in seconds
+ * @param {object} params - Parameters object containing collector settings and collectorHeatCapacity
+ * @returns {object} Collector temperature at the end of the step (°C) and useful gain to the loop (W)
+ */
+export const updateCollectorTemperature = (collectorTemp, poa, inletTemp, ambientTemp, loopCapacityRate, dt, params) => {
+  const { panelArea, collectorHeatCapacity } = params
+
+  let absorbed // W
+  let lossCoefficient // W/K
+  if (params.collectorModel === 'iso9806') {
+    const coefficients = getCollectorCoefficients(params)
+    absorbed = panelArea * coefficients.eta0 * calculateEffectiveIrradiance(poa, coefficients.iamB0)
+    lossCoefficient = panelArea * (coefficients.a1 + coefficients.a2 * Math.abs(collectorTemp - ambientTemp))
+  } else {
+    absorbed = poa.poa * panelArea * calculatePanelEfficiency(collectorTemp, params.panelEfficiencyRef, params.panelRefTemp, params.panelTempCoefficient)
+    lossCoefficient = params.panelUValue * panelArea
+  }
+
+  const capacity = Math.max(1, collectorHeatCapacity)
+  const nextTemp = (capacity * collectorTemp + dt * (absorbed + lossCoefficient * ambientTemp + loopCapacityRate * inletTemp))
+    / (capacity + dt * (lossCoefficient + loopCapacityRate))
+
+  return { collectorTemp: nextTemp, usefulGain: loopCapacityRate * (nextTemp - inletTemp) }
+}
+
+/**
+ * Create the collector loop component model
+ * Covers the collector, the loop pump and its differential controller. The collector inlet
+ * is the bottom of the tank; the temperatures read are those at the end of the previous step.
+ * - collectorThermalModel 'transient' (with a loop flow): the collector temperature is a state
+ *   advanced by updateCollectorTemperature and the fluid leaves at that temperature
+ * - otherwise the collector is at equilibrium: stagnation temperature while the pump is off,
+ *   steady-state loop gain (rated or linear model) and mean fluid temperature while it runs
+ *
+ * Reads signals: poa, ambientTemp, tankBottomTemp, tankTopTemp
+ * Publishes signals: qPanel, loopFlowRate, collectorOutletTemp, pumpOn
+ *
  * @param {object} parameters - All simulation parameters
- * @returns {array} Array of plot data series
+ * @returns {object} Component model for runSimulation, summarising pump runtime (h), electricity,
+ *                   solar energy and irradiation on the collector (kWh)
  */
-export const simulateSolarPanel = (parameters) => {
-  const { irradianceStartHour, irradianceEndHour, irradiancePeakHour, solarIrradiancePeak } = parameters
-  const { panelArea, panelEfficiencyRef, panelMaxTemp, panelUValue, panelRefTemp, panelTempCoefficient, ambientTemp } = parameters
-
-  const panelTempData = []
-  const ambientTempData = []
-  const panelEfficiencyData = []
-  const panelHeatOutputData = []
-
-  const hoursInDay = 24
-
-  for (let t = 0; t < hoursInDay; t += 0.5) {
-    // Calculate solar irradiance inline
-    let irradiance = 0
-    if (t >= irradianceStartHour && t <= irradianceEndHour) {
-      const fractionOfDay = (t - irradianceStartHour) / (irradianceEndHour - irradianceStartHour)
-      const peakFraction = (irradiancePeakHour - irradianceStartHour) / (irradianceEndHour - irradianceStartHour)
-      irradiance = solarIrradiancePeak * Math.cos((fractionOfDay - peakFraction) * Math.PI)
-      irradiance = Math.max(0, irradiance)
-    }
-
-    const panelTemp = calculatePanelTemperature(irradiance, ambientTemp, panelArea, panelEfficiencyRef, panelUValue, panelRefTemp, panelTempCoefficient)
-    const efficiency = calculatePanelEfficiency(panelTemp, panelEfficiencyRef, panelRefTemp, panelTempCoefficient)
-
-    // Calculate net heat output from panel
-    const heatOutput = calculatePanelOutput(irradiance, panelTemp, ambientTemp, ambientTemp, panelArea, panelUValue, panelEfficiencyRef, panelRefTemp, panelTempCoefficient)
-    console.log('heatOutput', heatOutput)
-    panelTempData.push({
-      x: parseFloat(t.toFixed(2)),
-      y: parseFloat(Math.min(panelTemp, panelMaxTemp).toFixed(2)),
-    })
-
-    ambientTempData.push({
-      x: parseFloat(t.toFixed(2)),
-      y: ambientTemp,
-    })
-
-    panelEfficiencyData.push({
-      x: parseFloat(t.toFixed(2)),
-      y: parseFloat((efficiency * 100).toFixed(2)), // Convert to percentage
-    })
-
-    panelHeatOutputData.push({
-      x: parseFloat(t.toFixed(2)),
-      y: parseFloat(heatOutput.toFixed(2)),
-    })
+export const createCollectorModel = (parameters) => {
+  const {
+    panelArea,
+    panelEfficiencyRef,
+    panelMaxTemp,
+    panelUValue,
+    panelRefTemp,
+    panelTempCoefficient,
+    initialTankTemp,
+    massFlowRate,
+    collectorFluidSpecificHeat,
+    collectorEfficiencyFactor,
+    pumpPower,
+  } = parameters
+
+  // EN ISO 9806 rated collector, or the reference efficiency / U-value model
+  const ratedCollector = parameters.collectorModel === 'iso9806'
+  const coefficients = ratedCollector ? getCollectorCoefficients(parameters) : null
+  // Collector with thermal mass; needs a loop flow to hand its heat to the tank
+  const transientCollector = parameters.collectorThermalModel === 'transient' && massFlowRate > 0
+
+  let collectorTemp = 0
+  let panelTemp = 0
+  let equilibriumTemp = 0
+  let collectorOutletTemp = initialTankTemp
+  let qPanel = 0
+  let irradiance = 0
+  let pumpOn = false
+  let pumpRuntime = 0 // s
+  let pumpEnergy = 0 // J
+  let solarEnergy = 0 // J
+  let irradiation = 0 // J incident on the aperture
+
+  // Equilibrium panel temperature: stagnation for a rated collector
+  const calculateEquilibriumTemp = (poa, ambientTemp) => (ratedCollector
+    ? calculateStagnationTemperature(calculateEffectiveIrradiance(poa, coefficients.iamB0), ambientTemp, coefficients)
+    : calculatePanelTemperature(poa.poa, ambientTemp, panelArea, panelEfficiencyRef, panelUValue, panelRefTemp, panelTempCoefficient))
+
+  const publish = (signals) => {
+    signals.qPanel = qPanel
+    signals.loopFlowRate = pumpOn ? massFlowRate : 0
+    signals.collectorOutletTemp = collectorOutletTemp
+    signals.pumpOn = pumpOn
   }
 
-  return [
-    {
-      id: 'Panel Temperature (°C)',
-      color: 'hsl(0, 100%, 50%)',
-      data: panelTempData,
-    },
-    {
-      id: 'Ambient Temperature (°C)',
-      color: 'hsl(0, 60%, 50%)',
-      data: ambientTempData,
-      dashed: true,
+  return {
+    id: 'collector',
+    channels: {
+      panelTemp: { label: 'Panel Temperature', unit: '°C', quantity: 'temperature' },
+      ...(transientCollector ? {
+        equilibriumTemp: { label: 'Equilibrium Panel Temperature', unit: '°C', quantity: 'temperature' },
+      } : {}),
+      outletTemp: { label: 'Collector Outlet Temperature', unit: '°C', quantity: 'temperature' },
+      heatOutput: { label: 'Heat Output', unit: 'W', quantity: 'power' },
+      efficiency: { label: 'Panel Efficiency', unit: '%', quantity: 'efficiency' },
+      pumpState: { label: 'Pump State', unit: 'on/off', quantity: 'state' },
+      pumpRuntime: { label: 'Pump Runtime', unit: 'h', quantity: 'time' },
+      pumpEnergy: { label: 'Pump Electricity', unit: 'kWh', quantity: 'energy' },
+      solarEnergy: { label: 'Solar Energy', unit: 'kWh', quantity: 'energy' },
     },
-    {
-      id: 'Panel Efficiency (%)',
-      color: 'hsl(120, 100%, 50%)',
-      data: panelEfficiencyData,
+
+    init: (context) => {
+      const { poa, ambientTemp } = context.signals
+      // Night-time start: the collector sits at ambient temperature
+      collectorTemp = ambientTemp
+      equilibriumTemp = calculateEquilibriumTemp(poa, ambientTemp)
+      panelTemp = transientCollector ? collectorTemp : equilibriumTemp
+      irradiance = poa.poa
+      publish(context.signals)
     },
-    {
-      id: 'Heat Output (W)',
-      color: 'hsl(210, 100%, 50%)',
-      data: panelHeatOutputData,
+
+    step: (context) => {
+      const { dt, signals } = context
+      const { poa, ambientTemp, tankBottomTemp, tankTopTemp } = signals
+      irradiance = poa.poa
+
+      // Calculate panel temperature: the collector's own state with thermal mass,
+      // otherwise the equilibrium (stagnation for a rated collector)
+      equilibriumTemp = calculateEquilibriumTemp(poa, ambientTemp)
+      panelTemp = transientCollector ? collectorTemp : equilibriumTemp
+
+      // Pump controller: the collector sensor reads the loop outlet while fluid circulates,
+      // the stagnation temperature while the pump is off (or without a loop flow)
+      const collectorSensorTemp = pumpOn && massFlowRate > 0 && !transientCollector ? collectorOutletTemp : panelTemp
+      pumpOn = updatePumpState(pumpOn, collectorSensorTemp, tankBottomTemp, tankTopTemp, irradiance, parameters)
+      const loopFlowRate = pumpOn ? massFlowRate : 0
+
+      // Calculate heat output from panel to tank; the collector inlet is the tank outlet at the bottom
+      qPanel = 0
+      if (transientCollector) {
+        // Heat that leaves with the loop fluid; negative when a cold collector cools the tank
+        const collector = updateCollectorTemperature(collectorTemp, poa, tankBottomTemp, ambientTemp, loopFlowRate * collectorFluidSpecificHeat, dt, parameters)
+        collectorTemp = collector.collectorTemp
+        panelTemp = collectorTemp
+        qPanel = collector.usefulGain
+      } else if (pumpOn && ratedCollector) {
+        const effectiveIrradiance = calculateEffectiveIrradiance(poa, coefficients.iamB0)
+        qPanel = calculateRatedCollectorLoop(effectiveIrradiance, tankBottomTemp, ambientTemp, panelArea, coefficients, massFlowRate, collectorFluidSpecificHeat).usefulGain
+      } else if (pumpOn) {
+        qPanel = calculatePanelOutput(irradiance, panelTemp, tankBottomTemp, ambientTemp, panelArea, panelUValue, panelEfficiencyRef, panelRefTemp, panelTempCoefficient, massFlowRate, collectorFluidSpecificHeat, collectorEfficiencyFactor)
+      }
+      if (transientCollector) {
+        collectorOutletTemp = collectorTemp
+      } else {
+        collectorOutletTemp = loopFlowRate > 0
+          ? tankBottomTemp + qPanel / (loopFlowRate * collectorFluidSpecificHeat)
+          : tankBottomTemp
+        // A circulating collector runs at its mean fluid temperature
+        if (loopFlowRate > 0) {
+          panelTemp = (tankBottomTemp + collectorOutletTemp) / 2
+        }
+      }
+      if (pumpOn) {
+        pumpRuntime += dt
+        pumpEnergy += pumpPower * dt
+      }
+      solarEnergy += qPanel * dt
+      irradiation += irradiance * panelArea * dt
+      publish(signals)
     },
-  ]
-}
 
+    output: () => ({
+      // Plotted panel temperatures are capped at the panel's rated maximum
+      panelTemp: Math.min(panelTemp, panelMaxTemp),
+      equilibriumTemp: Math.min(equilibriumTemp, panelMaxTemp),
+      outletTemp: collectorOutletTemp,
+      heatOutput: qPanel,
+      efficiency: irradiance > 0 ? (Math.max(0, qPanel) / (irradiance * panelArea)) * 100 : 0,
+      pumpState: pumpOn ? 1 : 0,
+      pumpRuntime: pumpRuntime / 3600,
+      pumpEnergy: pumpEnergy / 3.6e6,
+      solarEnergy: solarEnergy / 3.6e6,
+    }),
+
+    summary: () => ({
+      runtimeHours: pumpRuntime / 3600,
+      electricity: pumpEnergy / 3.6e6, // kWh
+      solar: solarEnergy / 3.6e6,
+      irradiation: irradiation / 3.6e6,
+    }),
+  }
+}
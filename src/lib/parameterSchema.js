@@ -0,0 +1,1085 @@
+/**
+ * Parameter Schema
+ * One definition per simulator parameter: default, label, unit, valid range and input step,
+ * grouped into the parameter panel sections, plus the rules that tie parameters to each other
+ */
+
+import { SWEEP_METRICS, MAX_STEPS_1D, MAX_STEPS_2D } from './sweep.js'
+import { getDisplayUnit, toDisplayValue } from './units.js'
+import { isWeatherDriven } from './weather.js'
+
+/**
+ * Parameter panel sections in display order
+ * Every parameter has a default, label and description. Numeric parameters add unit (SI), min
+ * and max (inclusive, either may be absent), step of the input field and integer; unitFrom takes
+ * the unit of the parameter selected in another field instead. Selectors add options. showWhen
+ * hides a parameter unless every listed parameter has the given value.
+ */
+export const PARAMETER_SCHEMA = {
+  simulationParameters: {
+    id: 'simulationParameters',
+    title: 'Simulation Parameters',
+    parameters: {
+      weatherSource: {
+        default: 'synthetic',
+        label: 'Weather Source',
+        description: 'Synthetic: irradiance from the selected irradiance model and a constant ambient temperature. Weather File: hourly GHI, DNI, DHI and dry-bulb temperature from the imported file, interpolated to the timestep.',
+        options: [
+          { value: 'synthetic', label: 'Synthetic' },
+          { value: 'file', label: 'Weather File' },
+        ],
+      },
+      ambientModel: {
+        default: 'constant',
+        label: 'Ambient Temperature Model',
+        description: 'Constant: the same air temperature all day. Diurnal: a daily cycle between a minimum around dawn and a maximum in the afternoon (two-piece cosine).',
+        options: [
+          { value: 'constant', label: 'Constant' },
+          { value: 'diurnal', label: 'Diurnal Cycle' },
+        ],
+        showWhen: { weatherSource: 'synthetic' },
+      },
+      ambientTemp: {
+        default: 20.0,
+        label: 'Ambient Temperature',
+        unit: '°C',
+        min: -50,
+        max: 60,
+        step: 0.5,
+        description: 'Surrounding air temperature in °C. Used for calculating heat loss from panel and tank to environment.',
+        showWhen: { weatherSource: 'synthetic', ambientModel: 'constant' },
+      },
+      ambientMinTemp: {
+        default: 15.0,
+        label: 'Daily Minimum',
+        unit: '°C',
+        min: -50,
+        max: 60,
+        step: 0.5,
+        description: 'Lowest air temperature of the day, reached around sunrise.',
+        showWhen: { weatherSource: 'synthetic', ambientModel: 'diurnal' },
+      },
+      ambientMaxTemp: {
+        default: 25.0,
+        label: 'Daily Maximum',
+        unit: '°C',
+        min: -50,
+        max: 60,
+        step: 0.5,
+        description: 'Highest air temperature of the day, reached in the afternoon.',
+        showWhen: { weatherSource: 'synthetic', ambientModel: 'diurnal' },
+      },
+      ambientMinHour: {
+        default: 5.0,
+        label: 'Hour of Minimum',
+        unit: 'h',
+        min: 0,
+        max: 24,
+        step: 0.5,
+        description: 'Hour of day of the minimum temperature. Typical: shortly before sunrise, 5-6 h.',
+        showWhen: { weatherSource: 'synthetic', ambientModel: 'diurnal' },
+      },
+      ambientMaxHour: {
+        default: 15.0,
+        label: 'Hour of Maximum',
+        unit: 'h',
+        min: 0,
+        max: 24,
+        step: 0.5,
+        description: 'Hour of day of the maximum temperature. Typical: 14-16 h, a few hours after solar noon.',
+        showWhen: { weatherSource: 'synthetic', ambientModel: 'diurnal' },
+      },
+      massFlowRate: {
+        default: 0.05,
+        label: 'Mass Flow Rate',
+        unit: 'kg/s',
+        min: 0,
+        max: 1,
+        step: 0.01,
+        description: 'Rate of fluid circulation through the collector loop in kg/s. Higher flow rates raise the heat removal factor F_R and lower the outlet temperature. Set to 0 to disable the loop model.',
+      },
+      collectorFluidSpecificHeat: {
+        default: 4186,
+        label: 'Loop Fluid Heat Capacity',
+        unit: 'J/kg·K',
+        min: 1000,
+        max: 5000,
+        step: 10,
+        description: 'Specific heat of the collector loop fluid in J/(kg*K). Water: 4186. Water-glycol antifreeze mixtures: about 3600-3900.',
+      },
+      pumpControl: {
+        default: 'none',
+        label: 'Pump Control',
+        description: 'Always On: the pump runs whenever the sun shines on the collector. Differential Thermostat: the pump runs only while the collector is sufficiently warmer than the tank.',
+        options: [
+          { value: 'none', label: 'Always On (Daylight)' },
+          { value: 'differential', label: 'Differential Thermostat' },
+        ],
+      },
+      pumpOnDelta: {
+        default: 6.0,
+        label: 'Turn-On ΔT',
+        unit: 'K',
+        min: 0,
+        max: 30,
+        step: 0.5,
+        description: 'The pump starts when the collector is this much warmer than the bottom of the tank. Typical: 5-8 K.',
+        showWhen: { pumpControl: 'differential' },
+      },
+      pumpOffDelta: {
+        default: 2.0,
+        label: 'Turn-Off ΔT',
+        unit: 'K',
+        min: 0,
+        max: 30,
+        step: 0.5,
+        description: 'The pump stops when the collector-to-tank difference falls below this value. Must be lower than the turn-on ΔT to avoid rapid cycling. Typical: 2-3 K.',
+        showWhen: { pumpControl: 'differential' },
+      },
+      tankHighLimit: {
+        default: 80.0,
+        label: 'Tank High Limit',
+        unit: '°C',
+        min: 0,
+        max: 100,
+        step: 1,
+        description: 'The pump stops while the top of the tank is at or above this temperature, protecting against overheating. Set to 0°C to disable, otherwise at least 20°C.',
+        showWhen: { pumpControl: 'differential' },
+      },
+      pumpPower: {
+        default: 40,
+        label: 'Pump Power',
+        unit: 'W',
+        min: 0,
+        max: 500,
+        step: 5,
+        description: 'Electrical power drawn by the circulation pump while running. Used to report pump electricity consumption. Typical small circulator: 25-60 W.',
+      },
+      simulationDays: {
+        default: 1,
+        label: 'Simulation Horizon',
+        unit: 'days',
+        min: 1,
+        max: 365,
+        step: 1,
+        integer: true,
+        description: 'Number of consecutive days simulated, from 1 to 365. The tank carries its heat across midnight into the next day.',
+      },
+      integrator: {
+        default: 'euler',
+        label: 'Integration Method',
+        description: 'Numerical method that advances the tank temperatures over each timestep. Euler is cheapest (1 evaluation per step), Heun 2nd order (2), RK4 4th order (4). RK45 adapts its substeps inside each timestep to the error tolerance.',
+        options: [
+          { value: 'euler', label: 'Euler' },
+          { value: 'heun', label: 'Heun' },
+          { value: 'rk4', label: 'RK4' },
+          { value: 'rk45', label: 'RK45 (adaptive)' },
+        ],
+      },
+      integratorTolerance: {
+        default: 0.01,
+        label: 'Error Tolerance',
+        unit: 'K',
+        min: 0.0001,
+        max: 1,
+        step: 0.001,
+        description: 'Largest local temperature error per RK45 substep. Smaller values take more substeps.',
+        showWhen: { integrator: 'rk45' },
+      },
+      timestep: {
+        default: 0,
+        label: 'Timestep',
+        unit: 's',
+        min: 0,
+        max: 3600,
+        step: 1,
+        integer: true,
+        description: 'Simulation timestep in seconds, rounded down to a divisor of one hour (1-3600 s). The pump and heater thermostats switch once per timestep. 0 selects it automatically: 10 s, or 60 s beyond a week.',
+      },
+      outputInterval: {
+        default: 0,
+        label: 'Output Interval',
+        unit: 'min',
+        min: 0,
+        max: 1440,
+        step: 1,
+        description: 'Time between plotted points in minutes, rounded to whole timesteps. Coarsened when a series would exceed 2000 points. 0 selects it automatically: 30 min, 5 min with clouds.',
+      },
+    },
+  },
+  solarIrradiance: {
+    id: 'solarIrradiance',
+    title: 'Solar Irradiance',
+    parameters: {
+      irradianceModel: {
+        default: 'cosine',
+        label: 'Irradiance Model',
+        description: 'Cosine: hand-tuned daily curve between start and end hour. Astronomical: clear-sky irradiance computed from the sun position for the given location and date.',
+        options: [
+          { value: 'cosine', label: 'Cosine Profile' },
+          { value: 'astronomical', label: 'Astronomical (Clear Sky)' },
+        ],
+      },
+      irradianceStartHour: {
+        default: 6.0,
+        label: 'Start Hour',
+        unit: 'h',
+        min: 0,
+        max: 24,
+        step: 0.5,
+        description: 'Hour of day when solar irradiance becomes non-zero (sunrise). Typical: 6 AM.',
+        showWhen: { irradianceModel: 'cosine' },
+      },
+      irradianceEndHour: {
+        default: 18.0,
+        label: 'End Hour',
+        unit: 'h',
+        min: 0,
+        max: 24,
+        step: 0.5,
+        description: 'Hour of day when solar irradiance becomes zero (sunset). Typical: 6 PM.',
+        showWhen: { irradianceModel: 'cosine' },
+      },
+      irradiancePeakHour: {
+        default: 12.0,
+        label: 'Peak Hour',
+        unit: 'h',
+        min: 0,
+        max: 24,
+        step: 0.5,
+        description: 'Hour of day at which solar irradiance reaches maximum (solar noon). Typical: 12 PM.',
+        showWhen: { irradianceModel: 'cosine' },
+      },
+      solarIrradiancePeak: {
+        default: 800,
+        label: 'Peak Solar Irradiance',
+        unit: 'W/m²',
+        min: 0,
+        max: 1400,
+        step: 10,
+        description: 'Maximum solar radiation intensity in W/m² during peak daylight. Standard value: 1000 W/m² at sea level on clear day.',
+        showWhen: { irradianceModel: 'cosine' },
+      },
+      latitude: {
+        default: 45.0,
+        label: 'Latitude',
+        unit: '°',
+        min: -90,
+        max: 90,
+        step: 0.1,
+        description: 'Site latitude in degrees, positive north of the equator. Determines sun elevation, day length and the sun angle on the collector.',
+      },
+      longitude: {
+        default: 0.0,
+        label: 'Longitude',
+        unit: '°',
+        min: -180,
+        max: 180,
+        step: 0.1,
+        description: 'Site longitude in degrees, positive east of Greenwich. Shifts solar noon relative to the time zone meridian.',
+      },
+      dayOfYear: {
+        default: 172,
+        label: 'Day of Year',
+        min: 1,
+        max: 365,
+        step: 1,
+        integer: true,
+        description: 'Day number from 1 (1 January) to 365 (31 December). Sets solar declination and Earth-sun distance. Summer solstice: 172.',
+      },
+      timeZone: {
+        default: 0,
+        label: 'Time Zone',
+        unit: 'UTC±h',
+        min: -12,
+        max: 14,
+        step: 0.5,
+        description: 'Offset of local clock time from UTC in hours, e.g. 1 for Central European Time. Used to convert clock time to solar time.',
+      },
+      collectorTilt: {
+        default: 30.0,
+        label: 'Collector Tilt',
+        unit: '°',
+        min: 0,
+        max: 90,
+        step: 1,
+        description: 'Angle between the collector and the horizontal in degrees. 0° is flat, 90° is vertical. A tilt close to the latitude maximises annual collection.',
+      },
+      collectorAzimuth: {
+        default: 180.0,
+        label: 'Collector Azimuth',
+        unit: '°',
+        min: 0,
+        max: 360,
+        step: 1,
+        description: 'Direction the collector faces, clockwise from north in degrees: 90° east, 180° south, 270° west.',
+      },
+      groundAlbedo: {
+        default: 0.2,
+        label: 'Ground Albedo',
+        min: 0,
+        max: 1,
+        step: 0.05,
+        description: 'Fraction of global irradiance reflected by the ground in front of the collector. Typical: 0.2 for grass, up to 0.8 for fresh snow.',
+      },
+      skyModel: {
+        default: 'hayDavies',
+        label: 'Sky Diffuse Model',
+        description: 'Transposition of diffuse irradiance to the collector plane. Isotropic assumes a uniform sky; Hay-Davies adds a circumsolar component around the sun.',
+        options: [
+          { value: 'isotropic', label: 'Isotropic' },
+          { value: 'hayDavies', label: 'Hay-Davies' },
+        ],
+      },
+      cloudModel: {
+        default: 'none',
+        label: 'Cloud Cover',
+        description: 'Clear Sky: no clouds. Stochastic: passing clouds from a seeded Markov chain that switches between clear and cloudy every 5 minutes. Ignored when a weather file drives the simulation.',
+        options: [
+          { value: 'none', label: 'Clear Sky' },
+          { value: 'markov', label: 'Stochastic (Markov)' },
+        ],
+      },
+      cloudSeed: {
+        default: 42,
+        label: 'Random Seed',
+        min: 0,
+        step: 1,
+        integer: true,
+        description: 'Integer seed of the cloud sequence. The same seed and settings always reproduce exactly the same clouds; change it to get another realisation.',
+        showWhen: { cloudModel: 'markov' },
+      },
+      clearnessIndex: {
+        default: 0.6,
+        label: 'Daily Clearness Index',
+        min: 0,
+        max: 1,
+        step: 0.05,
+        description: 'Average fraction of clear-sky irradiance reaching the ground over a day, from 0 (overcast) to 1 (cloudless). Typical: 0.3 for cloudy climates, 0.7 for sunny ones.',
+        showWhen: { cloudModel: 'markov' },
+      },
+      cloudVariability: {
+        default: 0.5,
+        label: 'Cloud Variability',
+        min: 0,
+        max: 1,
+        step: 0.05,
+        description: 'From 0 to 1. Higher values give shorter, more frequent cloud passages within the day and a wider spread of clearness from day to day.',
+        showWhen: { cloudModel: 'markov' },
+      },
+    },
+  },
+  solarPanel: {
+    id: 'solarPanel',
+    title: 'Solar Panel',
+    dependencies: ['solarIrradiance', 'simulationParameters'],
+    parameters: {
+      collectorModel: {
+        default: 'linear',
+        label: 'Collector Model',
+        description: 'EN ISO 9806: quadratic efficiency curve η = η0 − a1·(Tm−Ta)/G − a2·(Tm−Ta)²/G with an incidence angle modifier, as on solar thermal collector datasheets. Linear: reference efficiency with a PV-style temperature coefficient and U-value.',
+        options: [
+          { value: 'iso9806', label: 'EN ISO 9806 Efficiency Curve' },
+          { value: 'linear', label: 'Linear Temperature Coefficient' },
+        ],
+      },
+      collectorPreset: {
+        default: 'flatPlate',
+        label: 'Collector Type',
+        description: 'Typical efficiency curve coefficients for a glazed flat-plate or an evacuated-tube collector. Choose Custom to enter the values from a datasheet.',
+        options: [
+          { value: 'flatPlate', label: 'Flat Plate' },
+          { value: 'evacuatedTube', label: 'Evacuated Tube' },
+          { value: 'custom', label: 'Custom' },
+        ],
+        showWhen: { collectorModel: 'iso9806' },
+      },
+      eta0: {
+        default: 0.78,
+        label: 'Peak Efficiency η0',
+        min: 0,
+        max: 1,
+        step: 0.01,
+        description: 'Optical (zero-loss) efficiency at normal incidence, referred to the aperture area. Flat plate: about 0.75-0.82. Evacuated tube: about 0.6-0.75.',
+        showWhen: { collectorModel: 'iso9806', collectorPreset: 'custom' },
+      },
+      a1: {
+        default: 3.5,
+        label: 'Heat Loss Coefficient a1',
+        unit: 'W/m²·K',
+        min: 0,
+        max: 20,
+        step: 0.1,
+        description: 'Linear heat loss coefficient of the efficiency curve. Flat plate: 3-4 W/(m²·K). Evacuated tube: 1-1.5 W/(m²·K).',
+        showWhen: { collectorModel: 'iso9806', collectorPreset: 'custom' },
+      },
+      a2: {
+        default: 0.015,
+        label: 'Heat Loss Coefficient a2',
+        unit: 'W/m²·K²',
+        min: 0,
+        max: 0.1,
+        step: 0.001,
+        description: 'Quadratic heat loss coefficient of the efficiency curve. Flat plate: about 0.015 W/(m²·K²). Evacuated tube: about 0.005-0.01 W/(m²·K²).',
+        showWhen: { collectorModel: 'iso9806', collectorPreset: 'custom' },
+      },
+      iamB0: {
+        default: 0.1,
+        label: 'Incidence Angle Modifier b0',
+        min: 0,
+        max: 1,
+        step: 0.01,
+        description: 'Constant of the incidence angle modifier K(θ) = 1 − b0·(1/cos θ − 1). Larger values lose more at oblique sun angles. Typical: 0.1 for flat plates.',
+        showWhen: { collectorModel: 'iso9806', collectorPreset: 'custom' },
+      },
+      collectorThermalModel: {
+        default: 'equilibrium',
+        label: 'Collector Thermal Model',
+        description: 'Transient: the collector has a heat capacity and warms up or cools down over time, giving a morning warm-up lag. Equilibrium: the collector jumps to its steady-state temperature at every step. Transient needs a mass flow rate above 0 in the storage tank simulation.',
+        options: [
+          { value: 'transient', label: 'Transient (Thermal Mass)' },
+          { value: 'equilibrium', label: 'Equilibrium' },
+        ],
+      },
+      collectorHeatCapacity: {
+        default: 15000,
+        label: 'Collector Heat Capacity',
+        unit: 'J/K',
+        min: 100,
+        max: 200000,
+        step: 100,
+        description: 'Effective heat capacity of absorber, glazing and fluid content (C in EN ISO 9806). Typical flat plate: 5-10 kJ/(m²·K) of aperture, e.g. 15000 J/K for 2 m².',
+        showWhen: { collectorThermalModel: 'transient' },
+      },
+      panelArea: {
+        default: 2.0,
+        label: 'Panel Area',
+        unit: 'm²',
+        min: 0.1,
+        max: 100,
+        step: 0.1,
+        description: 'Total surface area of the solar panel in square meters. Larger area increases energy collection capacity.',
+      },
+      panelEfficiencyRef: {
+        default: 0.70,
+        label: 'Panel Efficiency',
+        unit: '%',
+        min: 0,
+        max: 1,
+        step: 0.01,
+        description: 'Reference efficiency at standard test conditions (25°C). Typical solar panels: 15-22%. Higher efficiency means better energy conversion.',
+        showWhen: { collectorModel: 'linear' },
+      },
+      panelMaxTemp: {
+        default: 80.0,
+        label: 'Max Panel Temp',
+        unit: '°C',
+        min: 20,
+        max: 250,
+        step: 1,
+        description: 'Maximum safe operating temperature for the panel in °C. Efficiency decreases as temperature increases due to thermal effects.',
+      },
+      panelUValue: {
+        default: 10.0,
+        label: 'Panel U-Value',
+        unit: 'W/m²·K',
+        min: 0,
+        max: 50,
+        step: 0.5,
+        description: 'Heat transfer coefficient for the panel surface in W/(m²*K). Represents panel thermal resistance and heat loss rate to environment.',
+        showWhen: { collectorModel: 'linear' },
+      },
+      panelRefTemp: {
+        default: 25.0,
+        label: 'Reference Temp',
+        unit: '°C',
+        min: -20,
+        max: 80,
+        step: 1,
+        description: 'Reference temperature for efficiency rating in °C. Standard test condition is 25°C. Used as baseline for temperature coefficient calculations.',
+        showWhen: { collectorModel: 'linear' },
+      },
+      panelTempCoefficient: {
+        default: 0.004,
+        label: 'Temp Coefficient',
+        unit: '%/°C',
+        min: 0,
+        max: 0.05,
+        step: 0.001,
+        description: 'Temperature coefficient for efficiency loss as a decimal. Typical value: 0.004 (-0.4% per °C). Efficiency decreases linearly with temperature above reference.',
+        showWhen: { collectorModel: 'linear' },
+      },
+      collectorEfficiencyFactor: {
+        default: 0.95,
+        label: "Collector Efficiency Factor F'",
+        min: 0,
+        max: 1,
+        step: 0.01,
+        description: "Ratio of the actual useful gain to the gain if the absorber were at the local fluid temperature. Typical flat plates: 0.9-0.97. Used with the mass flow rate to compute F_R.",
+        showWhen: { collectorModel: 'linear' },
+      },
+    },
+  },
+  storageTank: {
+    id: 'storageTank',
+    title: 'Storage Tank',
+    dependencies: ['solarPanel', 'simulationParameters'],
+    parameters: {
+      tankVolume: {
+        default: 200,
+        label: 'Tank Volume',
+        unit: 'L',
+        min: 10,
+        max: 5000,
+        step: 10,
+        description: 'Total volume of the storage tank in liters. Larger tanks store more thermal energy but have more surface area for heat loss.',
+      },
+      initialTankTemp: {
+        default: 20.0,
+        label: 'Initial Tank Temp',
+        unit: '°C',
+        min: 0,
+        max: 100,
+        step: 1,
+        description: 'Starting temperature of the storage tank in °C. Typically matches ambient temperature at startup.',
+      },
+      tankSurfaceArea: {
+        default: 2.0,
+        label: 'Tank Surface Area',
+        unit: 'm²',
+        min: 0.1,
+        max: 50,
+        step: 0.1,
+        description: 'Exposed surface area of the storage tank in m². Used to calculate heat loss to environment.',
+      },
+      tankInsulationUValue: {
+        default: 0.5,
+        label: 'Tank U-Value',
+        unit: 'W/m²·K',
+        min: 0,
+        max: 10,
+        step: 0.1,
+        description: 'Overall heat transfer coefficient for the tank insulation in W/(m²*K). Lower values indicate better insulation (less heat loss).',
+      },
+      tankModel: {
+        default: 'mixed',
+        label: 'Tank Model',
+        description: 'Fully mixed: the whole tank has one temperature. Stratified: the tank is split into horizontal layers, hot water on top and cold water at the bottom.',
+        options: [
+          { value: 'mixed', label: 'Fully Mixed' },
+          { value: 'stratified', label: 'Stratified (Multi-Node)' },
+        ],
+      },
+      tankNodes: {
+        default: 10,
+        label: 'Number of Layers',
+        min: 2,
+        max: 50,
+        step: 1,
+        integer: true,
+        description: 'Number of equal-volume layers in the stratified tank, from 2 to 50. More layers resolve the thermocline more sharply.',
+        showWhen: { tankModel: 'stratified' },
+      },
+      tankHeight: {
+        default: 1.2,
+        label: 'Tank Height',
+        unit: 'm',
+        min: 0.1,
+        max: 5,
+        step: 0.1,
+        description: 'Height of the water column in metres. Sets the layer thickness and cross-section used for conduction between layers.',
+        showWhen: { tankModel: 'stratified' },
+      },
+      tankConductivity: {
+        default: 0.6,
+        label: 'Inter-Layer Conductivity',
+        unit: 'W/m·K',
+        min: 0,
+        max: 10,
+        step: 0.1,
+        description: 'Effective vertical thermal conductivity between layers in W/(m*K). Water: 0.6. Higher values account for wall conduction and mixing that erode stratification.',
+        showWhen: { tankModel: 'stratified' },
+      },
+      drawProfile: {
+        default: 'none',
+        label: 'Hot Water Draw Profile',
+        description: 'Daily hot water use. S, M and L are the EN 15316 / EN 16147 tapping cycles (2.1, 5.8 and 11.7 kWh/day). Custom uses your own hourly table.',
+        options: [
+          { value: 'none', label: 'No Draw-Off' },
+          { value: 'S', label: 'Tapping Profile S' },
+          { value: 'M', label: 'Tapping Profile M' },
+          { value: 'L', label: 'Tapping Profile L' },
+          { value: 'custom', label: 'Custom Hourly Table' },
+        ],
+      },
+      customDrawProfile: {
+        default: '0, 0, 0, 0, 0, 0, 10, 40, 20, 5, 5, 5, 10, 5, 5, 5, 5, 10, 15, 20, 15, 30, 10, 0',
+        label: 'Hourly Draw Table',
+        unit: 'L/h',
+        description: '24 comma-separated values, litres per hour at the delivery temperature, starting at midnight. Missing hours count as zero.',
+        showWhen: { drawProfile: 'custom' },
+      },
+      mainsTemp: {
+        default: 10.0,
+        label: 'Mains Inlet Temp',
+        unit: '°C',
+        min: 0,
+        max: 40,
+        step: 1,
+        description: 'Temperature of the cold mains water that replaces every litre drawn from the tank. Typical: 10-15°C.',
+      },
+      deliveryTemp: {
+        default: 45.0,
+        label: 'Delivery Temp',
+        unit: '°C',
+        min: 20,
+        max: 80,
+        step: 1,
+        description: 'Target hot water temperature at the tap. Hotter tank water is blended down with mains water; colder water counts as unmet demand.',
+      },
+    },
+  },
+  backupHeater: {
+    id: 'backupHeater',
+    title: 'Backup Heater',
+    dependencies: ['storageTank', 'solarPanel', 'simulationParameters'],
+    parameters: {
+      auxHeater: {
+        default: 'none',
+        label: 'Backup Heater',
+        description: 'Auxiliary heater that keeps the tank at the setpoint when solar is not enough. Electric element or gas burner; None disables the backup.',
+        options: [
+          { value: 'none', label: 'None' },
+          { value: 'electric', label: 'Electric Element' },
+          { value: 'gas', label: 'Gas Burner' },
+        ],
+      },
+      auxPower: {
+        default: 3000,
+        label: 'Heater Power',
+        unit: 'W',
+        min: 0,
+        max: 20000,
+        step: 100,
+        description: 'Heat output of the backup heater into the tank in W. Typical electric immersion element: 2000-3000 W.',
+      },
+      auxEfficiency: {
+        default: 1.0,
+        label: 'Heater Efficiency',
+        min: 0.1,
+        max: 1,
+        step: 0.01,
+        description: 'Ratio of heat delivered to energy consumed. Electric element: 1.0. Condensing gas burner: about 0.9. Used to compute the auxiliary energy input.',
+      },
+      auxSetpoint: {
+        default: 55.0,
+        label: 'Setpoint',
+        unit: '°C',
+        min: 20,
+        max: 95,
+        step: 1,
+        description: 'The heater switches off when the tank temperature at its thermostat reaches this value. Typical: 55-60°C, at least 60°C periodically for legionella protection.',
+      },
+      auxDeadband: {
+        default: 5.0,
+        label: 'Deadband',
+        unit: 'K',
+        min: 0,
+        max: 20,
+        step: 0.5,
+        description: 'The heater switches on when the tank falls this far below the setpoint. A wider band means fewer, longer heating cycles.',
+      },
+      auxAllowedStartHour: {
+        default: 0,
+        label: 'Allowed From',
+        unit: 'h',
+        min: 0,
+        max: 24,
+        step: 0.5,
+        description: 'Start of the daily window in which the backup may run, e.g. 22 for an off-peak tariff. Equal start and end hours (or 0 to 24) allow it all day.',
+      },
+      auxAllowedEndHour: {
+        default: 24,
+        label: 'Allowed Until',
+        unit: 'h',
+        min: 0,
+        max: 24,
+        step: 0.5,
+        description: 'End of the daily window in which the backup may run. The window may wrap past midnight, e.g. 22 to 6.',
+      },
+    },
+  },
+  economics: {
+    id: 'economics',
+    title: 'Economics',
+    dependencies: ['backupHeater', 'storageTank', 'solarPanel', 'simulationParameters'],
+    parameters: {
+      capitalCost: {
+        default: 4000,
+        label: 'System Capital Cost',
+        unit: '€',
+        min: 0,
+        step: 100,
+        description: 'Installed cost of the solar water heating system: collector, tank, pump, piping and installation.',
+      },
+      energyPrice: {
+        default: 0.30,
+        label: 'Energy Price',
+        unit: '€/kWh',
+        min: 0,
+        step: 0.01,
+        description: 'Price of the fuel or electricity used by the heater that solar heat displaces, in the first year.',
+      },
+      displacedHeaterEfficiency: {
+        default: 1.0,
+        label: 'Displaced Heater Efficiency',
+        min: 0.1,
+        max: 5,
+        step: 0.05,
+        description: 'Efficiency of the conventional water heater replaced by solar heat. Electric element: 1.0. Gas boiler: about 0.85. Each kWh of solar heat saves 1 / efficiency kWh of fuel or electricity.',
+      },
+      priceEscalation: {
+        default: 3.0,
+        label: 'Price Escalation',
+        unit: '%/year',
+        min: -10,
+        max: 20,
+        step: 0.5,
+        description: 'Yearly increase of the energy price, applied to the savings from the second year on.',
+      },
+      discountRate: {
+        default: 5.0,
+        label: 'Discount Rate',
+        unit: '%/year',
+        min: 0,
+        max: 30,
+        step: 0.5,
+        description: 'Rate at which future savings and energy are discounted for the net present value and the levelised cost of heat.',
+      },
+      lifetime: {
+        default: 20,
+        label: 'Lifetime',
+        unit: 'years',
+        min: 1,
+        max: 50,
+        step: 1,
+        integer: true,
+        description: 'Service life of the system. Typical solar water heaters: 20-25 years.',
+      },
+      co2Intensity: {
+        default: 0.4,
+        label: 'CO₂ Intensity',
+        unit: 'kg/kWh',
+        min: 0,
+        max: 2,
+        step: 0.01,
+        description: 'CO₂ emitted per kWh of the displaced fuel or grid electricity. Grid electricity: 0.1-0.8 depending on the country. Natural gas: about 0.2.',
+      },
+    },
+  },
+  sweep: {
+    id: 'sweep',
+    title: 'Parameter Sweep',
+    dependencies: ['backupHeater', 'storageTank', 'solarPanel', 'solarIrradiance', 'simulationParameters'],
+    parameters: {
+      sweepMode: {
+        default: '1d',
+        label: 'Sweep Type',
+        description: 'One parameter: the metric is plotted as a line over the swept values. Two parameters: every combination is run and the metric is drawn as a heatmap.',
+        options: [
+          { value: '1d', label: 'One Parameter (Line)' },
+          { value: '2d', label: 'Two Parameters (Heatmap)' },
+        ],
+      },
+      sweepMetric: {
+        default: 'finalTankTemp',
+        label: 'Output Metric',
+        description: 'Result evaluated from the storage tank simulation of each run. Daily values are averaged over the simulated days.',
+        options: Object.entries(SWEEP_METRICS).map(([value, metric]) => ({ value, label: `${metric.label} (${metric.unit})` })),
+      },
+      sweepParameterX: {
+        default: 'panelArea',
+        label: 'Swept Parameter',
+        description: 'Parameter varied along the x-axis. All other parameters keep their current values.',
+      },
+      sweepXMin: {
+        default: 1.0,
+        label: 'From',
+        unitFrom: 'sweepParameterX',
+        step: 'any',
+        description: 'First value of the swept parameter.',
+      },
+      sweepXMax: {
+        default: 6.0,
+        label: 'To',
+        unitFrom: 'sweepParameterX',
+        step: 'any',
+        description: 'Last value of the swept parameter.',
+      },
+      sweepXSteps: {
+        default: 11,
+        label: 'Steps',
+        min: 2,
+        max: MAX_STEPS_1D,
+        step: 1,
+        integer: true,
+        description: 'Number of evenly spaced values from the first to the last, 2-50 for one parameter and 2-15 per parameter for two. Each value is a full simulation run.',
+      },
+      sweepParameterY: {
+        default: 'tankVolume',
+        label: 'Second Swept Parameter',
+        description: 'Parameter varied along the y-axis of the heatmap.',
+        showWhen: { sweepMode: '2d' },
+      },
+      sweepYMin: {
+        default: 100,
+        label: 'From (Second)',
+        unitFrom: 'sweepParameterY',
+        step: 'any',
+        description: 'First value of the second swept parameter.',
+        showWhen: { sweepMode: '2d' },
+      },
+      sweepYMax: {
+        default: 400,
+        label: 'To (Second)',
+        unitFrom: 'sweepParameterY',
+        step: 'any',
+        description: 'Last value of the second swept parameter.',
+        showWhen: { sweepMode: '2d' },
+      },
+      sweepYSteps: {
+        default: 5,
+        label: 'Steps (Second)',
+        min: 2,
+        max: MAX_STEPS_2D,
+        step: 1,
+        integer: true,
+        description: 'Number of evenly spaced values of the second parameter, 2-15.',
+        showWhen: { sweepMode: '2d' },
+      },
+    },
+  },
+}
+
+/**
+ * Label of a parameter with its unit, as shown next to the input field
+ * @param {object} definition - Parameter definition from the schema
+ * @param {string} unitSystem - 'si' or 'imperial'. Default: 'si'
+ * @param {string} unit - SI unit of the value. Default: the unit of the definition
+ * @returns {string} e.g. 'Panel Area (m²)', or 'Panel Area (ft²)' in imperial units
+ */
+export const formatParameterLabel = (definition, unitSystem = 'si', unit = definition.unit) => (unit
+  ? `${definition.label} (${getDisplayUnit(unit, unitSystem)})`
+  : definition.label)
+
+// Numeric simulation parameters that can be swept, labelled like their input fields
+const SWEEP_PARAMETER_OPTIONS = Object.values(PARAMETER_SCHEMA)
+  .filter((section) => section.id !== 'economics' && section.id !== 'sweep')
+  .flatMap((section) => Object.entries(section.parameters))
+  .filter(([, definition]) => typeof definition.default === 'number')
+  .map(([key, definition]) => ({ value: key, label: formatParameterLabel(definition) }))
+PARAMETER_SCHEMA.sweep.parameters.sweepParameterX.options = SWEEP_PARAMETER_OPTIONS
+PARAMETER_SCHEMA.sweep.parameters.sweepParameterY.options = SWEEP_PARAMETER_OPTIONS
+
+// Every parameter definition by key, across sections
+export const PARAMETER_DEFINITIONS = Object.assign({}, ...Object.values(PARAMETER_SCHEMA).map((section) => section.parameters))
+
+// Default value of every parameter
+export const DEFAULT_PARAMETERS = Object.fromEntries(
+  Object.entries(PARAMETER_DEFINITIONS).map(([key, definition]) => [key, definition.default])
+)
+
+/**
+ * SI unit of a parameter value
+ * @param {object} definition - Parameter definition from the schema
+ * @param {object} parameters - Current parameters, for unitFrom
+ * @returns {string|undefined} Unit, undefined for dimensionless values
+ */
+export const getParameterUnit = (definition, parameters) => (definition.unitFrom
+  ? PARAMETER_DEFINITIONS[parameters[definition.unitFrom]]?.unit
+  : definition.unit)
+
+/**
+ * Check whether a parameter applies to the current configuration, i.e. whether the simulation reads it
+ * The weather file source only counts once a file is loaded: until then the simulation runs on
+ * synthetic weather, so the synthetic weather parameters stay in use.
+ *
+ * @param {object} definition - Parameter definition from the schema
+ * @param {object} parameters - Current parameters, with the weather records when a file is loaded
+ * @returns {boolean} False when a showWhen condition does not match
+ */
+export const isParameterVisible = (definition, parameters) => {
+  if (!definition?.showWhen) {
+    return true
+  }
+  const weatherSource = isWeatherDriven(parameters) ? 'file' : 'synthetic'
+  return Object.entries(definition.showWhen)
+    .every(([key, expected]) => (key === 'weatherSource' ? weatherSource : parameters[key]) === expected)
+}
+
+/**
+ * Read the value of an input field as a parameter value
+ * Text parameters keep the input as is. Numbers are parsed; an empty or unreadable entry is
+ * kept as typed so it is reported as invalid instead of silently becoming 0.
+ *
+ * @param {object} definition - Parameter definition from the schema
+ * @param {string} input - Input field value
+ * @returns {number|string} Parsed number, or the input when it is text or not a number
+ */
+export const parseParameterValue = (definition, input) => {
+  if (typeof definition.default === 'string') {
+    return input
+  }
+  const value = input.trim() === '' ? NaN : Number(input)
+  return Number.isFinite(value) ? value : input
+}
+
+// A limit in the units the user sees, six significant digits are plenty for a converted one
+const formatLimit = (value, unit, unitSystem) => (unit
+  ? `${parseFloat(toDisplayValue(value, unit, unitSystem).toPrecision(6))} ${getDisplayUnit(unit, unitSystem)}`
+  : `${value}`)
+
+// Range error of a number, null when it is within min and max
+const checkRange = (value, { min, max, unit }, unitSystem) => {
+  if (min !== undefined && value < min) {
+    return `Must be at least ${formatLimit(min, unit, unitSystem)}`
+  }
+  if (max !== undefined && value > max) {
+    return `Must be at most ${formatLimit(max, unit, unitSystem)}`
+  }
+  return null
+}
+
+// Error of a single value against its definition, null when valid
+const checkValue = (value, definition, unitSystem) => {
+  if (definition.options) {
+    return definition.options.some((option) => option.value === value) ? null : 'Choose one of the options'
+  }
+  if (typeof definition.default === 'string') {
+    return null
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return 'Enter a number'
+  }
+  if (definition.integer && !Number.isInteger(value)) {
+    return 'Enter a whole number'
+  }
+  return checkRange(value, definition, unitSystem)
+}
+
+// Hourly draw table: up to 24 flows, separated by commas, spaces or semicolons
+const isDrawTable = (table) => {
+  const entries = table.split(/[\s,;]+/).filter(Boolean)
+  return entries.length <= 24 && entries.every((entry) => Number(entry) >= 0)
+}
+
+// Sweep bounds must lie within the range of the swept parameter
+const checkSweepBound = (value, parameter, unitSystem) => (PARAMETER_DEFINITIONS[parameter]
+  ? checkRange(value, PARAMETER_DEFINITIONS[parameter], unitSystem) || true
+  : true)
+
+// Lowest tank high limit that is not 0 (off), °C
+const TANK_HIGH_LIMIT_MIN = 20
+
+// Rules between parameters. Each reports on key while key is shown, once key and the
+// parameters it uses are valid on their own; check returns true or the error message,
+// with limits in the given unit system.
+const PARAMETER_RULES = [
+  {
+    key: 'irradiancePeakHour',
+    uses: ['irradianceStartHour'],
+    check: (p) => p.irradiancePeakHour > p.irradianceStartHour || 'Must be after the start hour',
+  },
+  {
+    key: 'irradianceEndHour',
+    uses: ['irradianceStartHour', 'irradiancePeakHour'],
+    check: (p) => (p.irradianceEndHour > p.irradiancePeakHour && p.irradianceEndHour > p.irradianceStartHour)
+      || 'Must be after the peak hour',
+  },
+  {
+    key: 'ambientMaxTemp',
+    uses: ['ambientMinTemp'],
+    check: (p) => p.ambientMaxTemp >= p.ambientMinTemp || 'Must not be below the daily minimum',
+  },
+  {
+    key: 'pumpOffDelta',
+    uses: ['pumpOnDelta'],
+    check: (p) => p.pumpOffDelta < p.pumpOnDelta || 'Must be below the turn-on ΔT',
+  },
+  {
+    key: 'deliveryTemp',
+    uses: ['mainsTemp'],
+    check: (p) => p.deliveryTemp > p.mainsTemp || 'Must be above the mains inlet temperature',
+  },
+  {
+    key: 'tankHighLimit',
+    uses: [],
+    check: (p, unitSystem) => p.tankHighLimit === 0 || p.tankHighLimit >= TANK_HIGH_LIMIT_MIN
+      || `Must be ${formatLimit(0, '°C', unitSystem)} (off) or at least ${formatLimit(TANK_HIGH_LIMIT_MIN, '°C', unitSystem)}`,
+  },
+  {
+    key: 'customDrawProfile',
+    uses: [],
+    check: (p) => isDrawTable(p.customDrawProfile) || 'Enter up to 24 flows in L/h, one per hour, separated by commas',
+  },
+  {
+    key: 'sweepXMin',
+    uses: ['sweepParameterX'],
+    check: (p, unitSystem) => checkSweepBound(p.sweepXMin, p.sweepParameterX, unitSystem),
+  },
+  {
+    key: 'sweepXMax',
+    uses: ['sweepParameterX', 'sweepXMin'],
+    check: (p, unitSystem) => (p.sweepXMax > p.sweepXMin ? checkSweepBound(p.sweepXMax, p.sweepParameterX, unitSystem) : 'Must be above From'),
+  },
+  {
+    key: 'sweepXSteps',
+    uses: ['sweepMode'],
+    check: (p) => p.sweepMode !== '2d' || p.sweepXSteps <= MAX_STEPS_2D
+      || `At most ${MAX_STEPS_2D} steps in a two-parameter sweep`,
+  },
+  {
+    key: 'sweepParameterY',
+    uses: ['sweepParameterX'],
+    check: (p) => p.sweepParameterY !== p.sweepParameterX || 'Choose a different parameter than the first',
+  },
+  {
+    key: 'sweepYMin',
+    uses: ['sweepParameterY'],
+    check: (p, unitSystem) => checkSweepBound(p.sweepYMin, p.sweepParameterY, unitSystem),
+  },
+  {
+    key: 'sweepYMax',
+    uses: ['sweepParameterY', 'sweepYMin'],
+    check: (p, unitSystem) => (p.sweepYMax > p.sweepYMin ? checkSweepBound(p.sweepYMax, p.sweepParameterY, unitSystem) : 'Must be above From (Second)'),
+  },
+]
+
+/**
+ * Validate parameters against the schema and the rules between them
+ * Every parameter the simulation reads is checked; hidden parameters are not, they do not take part.
+ *
+ * @param {object} parameters - Parameters in SI with the weather records when a file is loaded,
+ *                              numbers may still hold the text of an unreadable entry
+ * @param {string} unitSystem - Units of the limits in the messages, 'si' or 'imperial'. Default: 'si'
+ * @returns {object} Error message by parameter key, empty when every parameter is valid
+ */
+export const validateParameters = (parameters, unitSystem = 'si') => {
+  const errors = {}
+  Object.entries(PARAMETER_DEFINITIONS).forEach(([key, definition]) => {
+    const error = isParameterVisible(definition, parameters) && checkValue(parameters[key], definition, unitSystem)
+    if (error) {
+      errors[key] = error
+    }
+  })
+  PARAMETER_RULES.forEach(({ key, uses, check }) => {
+    if (errors[key] || uses.some((used) => errors[used]) || !isParameterVisible(PARAMETER_DEFINITIONS[key], parameters)) {
+      return
+    }
+    const result = check(parameters, unitSystem)
+    if (result !== true) {
+      errors[key] = result
+    }
+  })
+  return errors
+}
@@ -0,0 +1,63 @@
+/**
+ * System Performance Indicators
+ * Key performance indicators of a solar water heating run
+ */
+
+import { runSystemSimulation } from './system.js'
+
+/**
+ * Solar fraction: share of the hot water demand that was met with solar heat
+ * The met demand (delivered heat) is split between solar and backup heat in proportion to what each
+ * put into the tank, f = Q_solar / (Q_solar + Q_aux) = 1 - Q_aux / (Q_solar + Q_aux); nothing
+ * delivered gives 0.
+ *
+ * @param {object} energies - {solar, auxiliary, delivered, unmet} in kWh: useful solar gain (negative
+ *                            net gains count as none), backup heat, delivered and unmet hot water demand
+ * @returns {number|null} Solar fraction (0-1), null without hot water demand
+ */
+export const calculateSolarFraction = ({ solar, auxiliary, delivered, unmet }) => {
+  if (delivered + unmet <= 0) {
+    return null
+  }
+  const heatIn = Math.max(0, solar) + auxiliary
+  return delivered > 0 && heatIn > 0 ? Math.max(0, solar) / heatIn : 0
+}
+
+/**
+ * Calculate the key performance indicators from a system run
+ * - Collector efficiency: useful solar gain over the irradiation on the collector
+ * - Solar fraction: share of the met hot water demand covered by solar heat, null without demand;
+ *   see calculateSolarFraction
+ *
+ * @param {object} result - Result of runSystemSimulation
+ * @returns {object} Irradiation, useful gain, tank losses, demand and auxiliary heat (kWh),
+ *                   collector efficiency and solar fraction (0-1), peak and final tank temperature (°C)
+ */
+export const calculatePerformanceIndicators = (result) => {
+  const { collector, tank } = result.summaries
+  const demand = tank.delivered + tank.unmet
+
+  return {
+    irradiation: collector.irradiation,
+    usefulGain: collector.solar,
+    tankLosses: tank.losses,
+    collectorEfficiency: collector.irradiation > 0 ? collector.solar / collector.irradiation : null,
+    peakTankTemp: tank.peakTemp,
+    finalTankTemp: tank.finalTemp,
+    demand,
+    auxiliaryHeat: tank.auxiliary,
+    solarFraction: calculateSolarFraction({
+      solar: collector.solar,
+      auxiliary: tank.auxiliary,
+      delivered: tank.delivered,
+      unmet: tank.unmet,
+    }),
+  }
+}
+
+/**
+ * Run the system and return its key performance indicators as a plain object
+ * @param {object} parameters - All simulation parameters
+ * @returns {object} Indicators from calculatePerformanceIndicators
+ */
+export const getPerformanceIndicators = (parameters) => calculatePerformanceIndicators(runSystemSimulation(parameters))
@@ -0,0 +1,61 @@
+/**
+ * Permalink
+ * Encodes the simulator state in the URL hash so a configuration can be shared as a link,
+ * without a server: only values that differ from the defaults are written
+ */
+
+// Hash keys of the open parameter section and the plotted section
+const SECTION_KEY = 'section'
+const PLOT_KEY = 'plot'
+
+/**
+ * Encode the simulator state as a URL hash
+ * @param {object} state - {parameters, activeSection, plotSection}
+ * @param {object} defaults - Default parameters; matching values are left out
+ * @returns {string} Hash without the leading '#', e.g. 'section=storageTank&plot=storageTank&tankVolume=300'
+ */
+export const encodePermalink = ({ parameters, activeSection, plotSection }, defaults) => {
+  const params = new URLSearchParams()
+  if (activeSection) {
+    params.set(SECTION_KEY, activeSection)
+  }
+  if (plotSection) {
+    params.set(PLOT_KEY, plotSection)
+  }
+  Object.entries(defaults).forEach(([key, defaultValue]) => {
+    const value = parameters[key]
+    if (value !== undefined && value !== defaultValue) {
+      params.set(key, String(value))
+    }
+  })
+  return params.toString()
+}
+
+/**
+ * Decode a URL hash into the simulator state
+ * Every parameter missing from the hash, unknown or not a number where a number is expected
+ * falls back to its default; sections not in the list are ignored.
+ *
+ * @param {string} hash - URL hash, with or without the leading '#'
+ * @param {object} defaults - Default parameters, their types decide how values are parsed
+ * @param {array} sections - Valid section ids
+ * @returns {object} {parameters, activeSection, plotSection}, sections null when absent or invalid
+ */
+export const decodePermalink = (hash, defaults, sections) => {
+  const params = new URLSearchParams(hash.replace(/^#/, ''))
+  const section = (key) => (sections.includes(params.get(key)) ? params.get(key) : null)
+
+  const parameters = Object.fromEntries(Object.entries(defaults).map(([key, defaultValue]) => {
+    const value = params.get(key)
+    if (value === null) {
+      return [key, defaultValue]
+    }
+    if (typeof defaultValue === 'number') {
+      const number = parseFloat(value)
+      return [key, Number.isFinite(number) ? number : defaultValue]
+    }
+    return [key, value]
+  }))
+
+  return { parameters, activeSection: section(SECTION_KEY), plotSection: section(PLOT_KEY) }
+}
@@ -0,0 +1,236 @@
+/**
+ * Project Library
+ * Saves named configurations in browser storage and exchanges them as versioned JSON project files
+ */
+
+export const PROJECT_FORMAT = 'solar-water-heating-project'
+export const PROJECT_VERSION = 1
+
+// localStorage key of the saved project library
+const STORAGE_KEY = 'solar-water-heating.projects'
+// Where a saved library that cannot be parsed is kept before it is overwritten
+const BACKUP_KEY = `${STORAGE_KEY}.backup`
+
+// Browser storage, undefined when it is disabled: even reading localStorage can throw a SecurityError
+const getStorage = () => {
+  try {
+    return globalThis.localStorage
+  } catch {
+    return undefined
+  }
+}
+
+// Fields of a project file and their types
+const PROJECT_SCHEMA = {
+  format: { type: 'string', required: true },
+  version: { type: 'integer', required: true },
+  name: { type: 'string', required: true },
+  savedAt: { type: 'string', required: false },
+  parameters: { type: 'object', required: true },
+}
+
+const matchesType = (value, type) => {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value)
+    case 'number':
+      return Number.isFinite(value)
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value)
+    default:
+      return typeof value === type
+  }
+}
+
+// Migrations from each older version to the next, applied in order on import
+const MIGRATIONS = {
+  // Unversioned: a bare parameters object, e.g. a copy of the default parameters
+  0: (data) => ({ format: PROJECT_FORMAT, version: 1, name: 'Imported Project', parameters: data }),
+}
+
+// Version of a project file, 0 for a bare parameters object
+const getProjectVersion = (data) => {
+  if (!matchesType(data, 'object')) {
+    throw new Error('A project file must contain a JSON object')
+  }
+  if (data.format === undefined && data.version === undefined) {
+    return 0
+  }
+  if (data.format !== PROJECT_FORMAT) {
+    throw new Error(`Unknown file format "${data.format}", expected "${PROJECT_FORMAT}"`)
+  }
+  return data.version
+}
+
+/**
+ * Bring a project file up to the current version
+ * @param {object} data - Parsed project file
+ * @returns {object} {data, migratedFrom}: the current-version project and its original version (null if current)
+ */
+export const migrateProject = (data) => {
+  const originalVersion = getProjectVersion(data)
+  if (!Number.isInteger(originalVersion) || originalVersion > PROJECT_VERSION) {
+    throw new Error(`Project version ${originalVersion} is not supported, this app reads versions up to ${PROJECT_VERSION}`)
+  }
+  let migrated = data
+  for (let version = originalVersion; version < PROJECT_VERSION; version++) {
+    migrated = MIGRATIONS[version](migrated)
+  }
+  return { data: migrated, migratedFrom: originalVersion < PROJECT_VERSION ? originalVersion : null }
+}
+
+/**
+ * Validate a current-version project against the schema and the default parameters
+ * Missing parameters and parameters with a value of the wrong type take their defaults;
+ * unknown parameters are left out. All three are listed in the report.
+ *
+ * @param {object} data - Project at PROJECT_VERSION
+ * @param {object} defaults - Default parameters, their types decide which values are valid
+ * @returns {object} {name, parameters, report: {unknown, missing, invalid}} with parameter keys in the report
+ */
+export const validateProject = (data, defaults) => {
+  Object.entries(PROJECT_SCHEMA).forEach(([field, { type, required }]) => {
+    if (data[field] === undefined ? required : !matchesType(data[field], type)) {
+      throw new Error(`Invalid project file: "${field}" must be ${type === 'integer' ? 'an' : 'a'} ${type}`)
+    }
+  })
+
+  const given = data.parameters
+  const expectedType = (key) => (typeof defaults[key] === 'number' ? 'number' : typeof defaults[key])
+  const report = {
+    unknown: Object.keys(given).filter((key) => !(key in defaults)),
+    missing: Object.keys(defaults).filter((key) => !(key in given)),
+    invalid: Object.keys(defaults).filter((key) => key in given && !matchesType(given[key], expectedType(key))),
+  }
+  const parameters = Object.fromEntries(Object.entries(defaults).map(([key, defaultValue]) => [
+    key,
+    key in given && !report.invalid.includes(key) ? given[key] : defaultValue,
+  ]))
+
+  return { name: data.name, parameters, report }
+}
+
+/**
+ * Create a project for the library
+ * @param {string} name - Project name
+ * @param {object} parameters - Simulation parameters
+ * @returns {object} Project {id, format, version, name, savedAt, parameters}
+ */
+export const createProject = (name, parameters) => ({
+  id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+  format: PROJECT_FORMAT,
+  version: PROJECT_VERSION,
+  name,
+  savedAt: new Date().toISOString(),
+  parameters,
+})
+
+/**
+ * Serialise a project as a JSON project file
+ * @param {object} project - Project from the library
+ * @returns {string} Pretty-printed JSON at PROJECT_VERSION
+ */
+export const exportProject = ({ name, savedAt, parameters }) => JSON.stringify({
+  format: PROJECT_FORMAT,
+  version: PROJECT_VERSION,
+  name,
+  savedAt,
+  parameters,
+}, null, 2)
+
+/**
+ * Read a JSON project file: parse, migrate older versions and validate
+ * @param {string} text - File contents
+ * @param {object} defaults - Default parameters
+ * @returns {object} {project, report}: a new library project and the validation report with migratedFrom
+ * @throws {Error} When the file is not JSON, not a project file, of a newer version or breaks the schema
+ */
+export const importProject = (text, defaults) => {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch (err) {
+    throw new Error(`Not a valid JSON file: ${err.message}`)
+  }
+  const { data: migrated, migratedFrom } = migrateProject(data)
+  const { name, parameters, report } = validateProject(migrated, defaults)
+  return { project: createProject(name, parameters), report: { ...report, migratedFrom } }
+}
+
+/**
+ * Load the saved project library
+ * Every project goes through the same migration and validation as an imported file, so projects
+ * saved by an older version pick up new parameters. Entries that cannot be read, e.g. saved by a
+ * newer version, are kept as they are so saving the library writes them back instead of deleting
+ * them; a library that is not a JSON list is copied to a backup key first.
+ *
+ * @param {object} defaults - Default parameters
+ * @param {object} storage - Web Storage to read from. Default: localStorage
+ * @returns {object} {projects, unreadable, issues, loaded}: projects in saved order, the raw entries that could not
+ *   be read, what loading changed as {name, report} (report as from importProject) or {name, error}, and whether
+ *   storage was read. When it was not, saving would replace a library that was never seen and must not happen.
+ */
+export const loadProjectLibrary = (defaults, storage = getStorage()) => {
+  const failed = (error) => ({ projects: [], unreadable: [], issues: [{ name: 'The saved library', error }], loaded: false })
+  if (!storage) {
+    return failed('Browser storage is disabled, projects will not be kept after a reload.')
+  }
+  let raw
+  try {
+    raw = storage.getItem(STORAGE_KEY)
+  } catch (err) {
+    return failed(`Browser storage is not available (${err.message}), projects will not be kept after a reload.`)
+  }
+  let saved
+  try {
+    saved = JSON.parse(raw || '[]')
+  } catch {
+    saved = null
+  }
+  if (!Array.isArray(saved)) {
+    try {
+      storage.setItem(BACKUP_KEY, raw)
+    } catch (err) {
+      return failed(`Not a list of projects and could not be backed up (${err.message}), it will not be saved over.`)
+    }
+    return {
+      projects: [],
+      unreadable: [],
+      issues: [{ name: 'The saved library', error: `Not a list of projects, backed up as "${BACKUP_KEY}".` }],
+      loaded: true,
+    }
+  }
+
+  const library = { projects: [], unreadable: [], issues: [], loaded: true }
+  saved.forEach((entry, idx) => {
+    const entryName = typeof entry?.name === 'string' ? entry.name : `Entry ${idx + 1}`
+    try {
+      const { data, migratedFrom } = migrateProject(entry)
+      const { name, parameters, report } = validateProject(data, defaults)
+      library.projects.push({ ...entry, version: PROJECT_VERSION, format: PROJECT_FORMAT, name, parameters })
+      if (migratedFrom !== null || Object.values(report).some((keys) => keys.length > 0)) {
+        library.issues.push({ name, report: { ...report, migratedFrom } })
+      }
+    } catch (err) {
+      library.unreadable.push(entry)
+      library.issues.push({ name: entryName, error: `${err.message}. Kept in storage unchanged.` })
+    }
+  })
+  return library
+}
+
+/**
+ * Save the project library
+ * @param {array} projects - Projects from the library
+ * @param {array} unreadable - Entries loadProjectLibrary could not read, saved back unchanged
+ * @param {object} storage - Web Storage to write to. Default: localStorage
+ * @returns {boolean} Whether the library was saved: storage may be disabled or full
+ */
+export const saveProjectLibrary = (projects, unreadable = [], storage = getStorage()) => {
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify([...projects, ...unreadable]))
+    return true
+  } catch {
+    return false
+  }
+}
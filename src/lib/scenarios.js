@@ -0,0 +1,50 @@
+/**
+ * Scenario Comparison
+ * Overlays the plot series of several named parameter sets and lists the parameters that differ
+ */
+
+// Dash patterns per scenario in overlay order, the first drawn solid
+export const SCENARIO_LINE_STYLES = ['', '10,5', '3,4', '12,4,3,4', '6,6', '1,3']
+
+/**
+ * Merge the plot series of several scenarios into one list
+ * The same series of every scenario is kept together, so each chart overlays it across scenarios.
+ * Series ids get the scenario name appended; baseId keeps the original id for grouping and
+ * dashArray gives every scenario its own line style.
+ *
+ * @param {array} runs - Scenario plot data [{name, series}], series as returned by a simulation view
+ * @returns {array} Array of plot data series
+ */
+export const overlayScenarios = (runs) => {
+  if (runs.length === 1) {
+    return runs[0].series
+  }
+  const [first] = runs
+  return first.series.flatMap((series) => runs
+    .map(({ name, series: scenarioSeries }, idx) => {
+      const match = scenarioSeries.find((s) => s.id === series.id)
+      return match && {
+        ...match,
+        id: `${match.id} [${name}]`,
+        baseId: match.id,
+        scenario: name,
+        dashArray: SCENARIO_LINE_STYLES[idx % SCENARIO_LINE_STYLES.length] || undefined,
+      }
+    })
+    .filter(Boolean))
+}
+
+/**
+ * List the parameters whose values differ between scenarios
+ * Only plain values are compared; attached data such as imported weather records is skipped.
+ *
+ * @param {array} scenarios - Scenarios [{name, parameters}]
+ * @returns {array} Differing parameters [{key, values}], values in scenario order (undefined if missing)
+ */
+export const diffScenarioParameters = (scenarios) => {
+  const keys = [...new Set(scenarios.flatMap(({ parameters }) => Object.keys(parameters)))]
+  return keys
+    .filter((key) => scenarios.every(({ parameters }) => parameters[key] === undefined || typeof parameters[key] !== 'object'))
+    .map((key) => ({ key, values: scenarios.map(({ parameters }) => parameters[key]) }))
+    .filter(({ values }) => values.some((value) => value !== values[0]))
+}
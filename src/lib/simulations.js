@@ -5,18 +5,207 @@
  */
 
 // Solar Irradiance
-export { calculateSolarIrradiance, simulateSolarIrradiance } from './irradiance.js'
+export {
+  calculateCosineIrradiance,
+  resolveSimulationTime,
+  calculateSolarPosition,
+  calculateExtraterrestrialIrradiance,
+  calculateClearSkyIrradiance,
+  decomposeGlobalIrradiance,
+  calculateIncidenceAngleCosine,
+  calculateIrradianceComponents,
+  calculatePlaneOfArrayIrradiance,
+  calculateSolarIrradiance,
+  createIrradianceModel,
+} from './irradiance.js'
 
 // Solar Panel
 export {
   calculatePanelEfficiency,
   calculatePanelTemperature,
+  calculateHeatRemovalFactor,
+  calculateCollectorLoop,
   calculatePanelOutput,
-  simulateSolarPanel,
+  updateCollectorTemperature,
+  createCollectorModel,
 } from './panel.js'
 
+// Solar Thermal Collector Rating
+export {
+  COLLECTOR_PRESETS,
+  getCollectorCoefficients,
+  calculateIncidenceAngleModifier,
+  calculateEffectiveIrradiance,
+  calculateCollectorEfficiency,
+  calculateCollectorHeatGain,
+  calculateStagnationTemperature,
+  calculateRatedCollectorLoop,
+  sampleEfficiencyCurve,
+} from './collector.js'
+
 // Storage Tank
-export { calculateTankHeatLoss, simulateStorageTank } from './tank.js'
+export {
+  calculateTankHeatLoss,
+  getTankNodeCount,
+  mixBuoyancy,
+  createStorageTankModel,
+} from './tank.js'
+
+// Hot Water Consumption
+export {
+  TAPPING_PROFILES,
+  parseDrawProfile,
+  calculateDrawDemand,
+  calculateDrawOff,
+} from './consumption.js'
+
+// Pump Controller
+export { updatePumpState } from './controller.js'
+
+// Auxiliary Backup Heater
+export {
+  isAuxiliaryAllowed,
+  updateAuxiliaryHeater,
+  calculateAuxiliaryInput,
+} from './auxiliary.js'
+
+// Cloud Cover
+export {
+  createRandom,
+  generateCloudDay,
+  isCloudModelActive,
+  calculateCloudTransmittance,
+} from './clouds.js'
+
+// Weather Data
+export {
+  parseEPW,
+  parseTMY3,
+  parseWeatherCSV,
+  parseWeatherFile,
+  isWeatherDriven,
+  interpolateWeather,
+} from './weather.js'
+
+// Ambient Temperature
+export {
+  calculateDiurnalAmbientTemperature,
+  calculateAmbientTemperature,
+  createAmbientModel,
+} from './ambient.js'
+
+// Simulation Engine
+export {
+  runSimulation,
+  formatChannelName,
+  channelToSeries,
+} from './engine.js'
+
+// Solar Water Heating System
+export {
+  getSimulationDays,
+  getTimestep,
+  getSamplingInterval,
+  getOutputInterval,
+  createSystemModels,
+  runSystemSimulation,
+  runStorageTankSimulation,
+  getRunInfo,
+} from './system.js'
+
+// System Performance Indicators
+export {
+  calculatePerformanceIndicators,
+  getPerformanceIndicators,
+} from './performance.js'
+
+// Economic and Carbon Analysis
+export {
+  annualiseEnergy,
+  calculateEconomics,
+  simulateEconomics,
+} from './economics.js'
+
+// Parameter Sweep
+export {
+  SWEEP_METRICS,
+  getSweepValues,
+  runParameterSweep,
+  runParameterSweepAsync,
+} from './sweep.js'
+
+// Scenario Comparison
+export {
+  SCENARIO_LINE_STYLES,
+  overlayScenarios,
+  diffScenarioParameters,
+} from './scenarios.js'
+
+// Permalink
+export {
+  encodePermalink,
+  decodePermalink,
+} from './permalink.js'
+
+// Project Library
+export {
+  PROJECT_FORMAT,
+  PROJECT_VERSION,
+  migrateProject,
+  validateProject,
+  createProject,
+  exportProject,
+  importProject,
+  loadProjectLibrary,
+  saveProjectLibrary,
+} from './projects.js'
+
+// Result Export
+export {
+  RESULTS_FORMAT,
+  seriesToCsv,
+  resultsToJson,
+} from './export.js'
+
+// Parameter Schema
+export {
+  PARAMETER_SCHEMA,
+  PARAMETER_DEFINITIONS,
+  DEFAULT_PARAMETERS,
+  formatParameterLabel,
+  getParameterUnit,
+  isParameterVisible,
+  parseParameterValue,
+  validateParameters,
+} from './parameterSchema.js'
+
+// Unit Systems
+export {
+  UNIT_SYSTEMS,
+  getDisplayUnit,
+  toDisplayValue,
+  fromDisplayValue,
+  toDisplayText,
+  fromDisplayText,
+  convertUnitLabel,
+  convertText,
+  convertSeries,
+  loadUnitSystem,
+  saveUnitSystem,
+} from './units.js'
+
+// Numerical Integrators
+export {
+  INTEGRATORS,
+  createIntegrator,
+} from './integrators.js'
+
+// Simulation Views
+export {
+  simulateSolarIrradiance,
+  simulateSolarPanel,
+  simulateStorageTank,
+} from './views.js'
 
 // Projectile Motion
 export { simulateProjectileMotion } from './projectile.js'
\ No newline at end of file
@@ -0,0 +1,144 @@
+/**
+ * Parameter Sweep
+ * Runs the storage tank simulation over a range of one or two parameters and reduces each run to one metric
+ */
+
+import { runSystemSimulation } from './system.js'
+import { calculateSolarFraction } from './performance.js'
+
+// Upper bound on values per axis, keeps a sweep within a few hundred runs
+export const MAX_STEPS_1D = 50
+export const MAX_STEPS_2D = 15
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length
+
+/**
+ * Output metrics of a sweep, each evaluated from the run summaries of runSystemSimulation
+ * so they are exact rather than read off the sampled plot series
+ * Solar fraction as in the performance summary, 0 without hot water demand
+ */
+export const SWEEP_METRICS = {
+  finalTankTemp: {
+    label: 'Final Tank Temperature',
+    unit: '°C',
+    evaluate: ({ tank }) => tank.finalTemp,
+  },
+  peakTankTemp: {
+    label: 'Peak Tank Temperature',
+    unit: '°C',
+    evaluate: ({ tank }) => tank.peakTemp,
+  },
+  dailySolarGain: {
+    label: 'Daily Solar Gain',
+    unit: 'kWh/day',
+    evaluate: ({ tank }) => mean(tank.daily.map((day) => day.solarEnergy)),
+  },
+  dailyAuxiliaryEnergy: {
+    label: 'Daily Auxiliary Energy',
+    unit: 'kWh/day',
+    evaluate: ({ tank }) => mean(tank.daily.map((day) => day.auxiliaryEnergy)),
+  },
+  solarFraction: {
+    label: 'Solar Fraction',
+    unit: '%',
+    evaluate: ({ collector, tank }) => (calculateSolarFraction({
+      solar: collector.solar,
+      auxiliary: tank.auxiliary,
+      delivered: tank.delivered,
+      unmet: tank.unmet,
+    }) ?? 0) * 100,
+  },
+  pumpRuntime: {
+    label: 'Pump Runtime',
+    unit: 'h',
+    evaluate: ({ collector }) => collector.runtimeHours,
+  },
+}
+
+/**
+ * Evenly spaced values from min to max inclusive
+ * @param {number} min - First value
+ * @param {number} max - Last value
+ * @param {number} steps - Number of values, at least 2
+ * @returns {array} Sweep values
+ */
+export const getSweepValues = (min, max, steps) => Array.from(
+  { length: steps },
+  (_, idx) => min + ((max - min) * idx) / (steps - 1)
+)
+
+// Resolve one sweep axis: its parameter and clamped list of values, rounded without
+// repeats for whole-number parameters such as the number of tank nodes
+const resolveAxis = ({ parameter, min, max, steps, integer }, maxSteps) => {
+  const values = getSweepValues(min, max, Math.min(maxSteps, Math.max(2, Math.round(steps) || 2)))
+  return { parameter, values: integer ? [...new Set(values.map(Math.round))] : values }
+}
+
+// Metric, axes and the swept values of every run: x varies fastest, so runs fill a [y][x] grid row by row
+const planSweep = (xAxis, yAxis, metric) => {
+  const key = SWEEP_METRICS[metric] ? metric : 'finalTankTemp'
+  const x = resolveAxis(xAxis, yAxis ? MAX_STEPS_2D : MAX_STEPS_1D)
+  const y = yAxis ? resolveAxis(yAxis, MAX_STEPS_2D) : null
+  const runs = y
+    ? y.values.flatMap((yValue) => x.values.map((xValue) => ({ [y.parameter]: yValue, [x.parameter]: xValue })))
+    : x.values.map((xValue) => ({ [x.parameter]: xValue }))
+  return { key, x, y, runs }
+}
+
+const evaluateRun = (parameters, { key }, overrides) => SWEEP_METRICS[key].evaluate(
+  runSystemSimulation({ ...parameters, ...overrides }).summaries
+)
+
+// Sweep result from the metric values in run order
+const toSweepResult = ({ key, x, y }, results) => {
+  const { label, unit } = SWEEP_METRICS[key]
+  const values = y
+    ? y.values.map((_, row) => results.slice(row * x.values.length, (row + 1) * x.values.length))
+    : results
+  return { metric: { key, label, unit }, x, y, values }
+}
+
+/**
+ * Run a one- or two-parameter sweep
+ * Every combination runs the system simulation with the swept values on top of the
+ * base parameters; the selected metric is read from the run summaries.
+ *
+ * @param {object} parameters - Base simulation parameters
+ * @param {object} xAxis - Swept parameter {parameter, min, max, steps, integer}, integer rounds the values
+ * @param {object|null} yAxis - Second swept parameter for a 2-D sweep, null for a 1-D sweep
+ * @param {string} metric - Key of SWEEP_METRICS
+ * @returns {object} Metric {key, label, unit}, x and y axes {parameter, values} (y null in 1-D)
+ *                   and metric values: one per x value (1-D) or a grid indexed [y][x] (2-D)
+ */
+export const runParameterSweep = (parameters, xAxis, yAxis, metric) => {
+  const plan = planSweep(xAxis, yAxis, metric)
+  return toSweepResult(plan, plan.runs.map((overrides) => evaluateRun(parameters, plan, overrides)))
+}
+
+/**
+ * Run a sweep like runParameterSweep without blocking the page
+ * Hands control back to the browser before every run, so the page stays responsive and
+ * the sweep can be cancelled part way.
+ *
+ * @param {object} parameters - Base simulation parameters
+ * @param {object} xAxis - Swept parameter, as for runParameterSweep
+ * @param {object|null} yAxis - Second swept parameter, null for a 1-D sweep
+ * @param {string} metric - Key of SWEEP_METRICS
+ * @param {object} options - onProgress(done, total) called before the first and after every run,
+ *                           signal: AbortSignal that stops the sweep
+ * @returns {Promise<object|null>} Result as from runParameterSweep, null when aborted
+ */
+export const runParameterSweepAsync = async (parameters, xAxis, yAxis, metric, { onProgress, signal } = {}) => {
+  const plan = planSweep(xAxis, yAxis, metric)
+  const results = []
+  onProgress?.(0, plan.runs.length)
+  for (const overrides of plan.runs) {
+    await new Promise((resolve) => setTimeout(resolve, 0))
+    if (signal?.aborted) {
+      return null
+    }
+    results.push(evaluateRun(parameters, plan, overrides))
+    onProgress?.(results.length, plan.runs.length)
+  }
+  return toSweepResult(plan, results)
+}
@@ -0,0 +1,216 @@
+/**
+ * Solar Water Heating System
+ * Registers the component models on the simulation engine and runs the whole system
+ */
+
+import { runSimulation } from './engine.js'
+import { createAmbientModel } from './ambient.js'
+import { createIrradianceModel } from './irradiance.js'
+import { createCollectorModel } from './panel.js'
+import { createStorageTankModel } from './tank.js'
+import { isCloudModelActive } from './clouds.js'
+import { INTEGRATORS } from './integrators.js'
+
+// Candidate output sampling intervals in hours, all dividing a day evenly
+const SAMPLING_INTERVALS_HOURS = [1 / 60, 1 / 12, 0.25, 0.5, 1, 2, 3, 4, 6, 12, 24]
+
+// Range of user-selected timesteps in seconds
+const MIN_TIMESTEP = 1
+const MAX_TIMESTEP = 3600
+
+// Upper bound on plotted samples per series, keeps long horizons responsive
+const MAX_SAMPLES = 2000
+
+// Finest output resolution in hours: half-hourly, every 5 minutes to resolve passing clouds
+const DEFAULT_RESOLUTION_HOURS = 0.5
+const CLOUD_RESOLUTION_HOURS = 1 / 12
+
+/**
+ * Resolve the simulation horizon
+ * @param {object} parameters - All simulation parameters
+ * @returns {number} Number of simulated days, from one day to a full year
+ */
+export const getSimulationDays = (parameters) => Math.min(365, Math.max(1, Math.round(parameters.simulationDays || 1)))
+
+/**
+ * Choose the integration timestep for a simulation horizon
+ * A requested timestep is rounded down to a divisor of one hour (1-3600 s), so steps
+ * always land on the hour and at midnight. Automatic (0): runs beyond a week use a
+ * coarser step to stay responsive, still far below the tank's thermal time constant
+ *
+ * @param {number} simulationDays - Number of simulated days
+ * @param {number} requested - Requested timestep in seconds, 0 for automatic. Default: 0
+ * @returns {number} Timestep in seconds
+ */
+export const getTimestep = (simulationDays, requested = 0) => {
+  if (!(requested > 0)) {
+    return simulationDays > 7 ? 60 : 10
+  }
+  let timestep = Math.floor(Math.min(MAX_TIMESTEP, Math.max(MIN_TIMESTEP, requested)))
+  while (3600 % timestep !== 0) {
+    timestep--
+  }
+  return timestep
+}
+
+/**
+ * Choose the output sampling interval for a simulation horizon
+ * The finest interval not below the requested resolution that keeps each series under
+ * MAX_SAMPLES points: half-hourly up to ~6 weeks, coarser for longer runs
+ *
+ * @param {number} simulationDays - Number of simulated days
+ * @param {number} resolution - Finest sampling interval in hours. Default: 0.5
+ * @returns {number} Sampling interval in seconds
+ */
+export const getSamplingInterval = (simulationDays, resolution = DEFAULT_RESOLUTION_HOURS) => {
+  const totalHours = simulationDays * 24
+  const hours = SAMPLING_INTERVALS_HOURS.find((h) => h >= resolution - 1e-9 && totalHours / h <= MAX_SAMPLES) || 24
+  return Math.round(hours * 3600)
+}
+
+/**
+ * Choose the output interval for a run
+ * A requested interval (in minutes) is rounded to a whole number of timesteps; it is coarsened
+ * like the automatic interval when the horizon would exceed MAX_SAMPLES points per series.
+ * Automatic (0): half-hourly, every 5 minutes with clouds, coarser for long horizons.
+ *
+ * @param {object} parameters - All simulation parameters
+ * @param {number} simulationDays - Number of simulated days
+ * @param {number} timestep - Timestep in seconds
+ * @returns {number} Output interval in seconds
+ */
+export const getOutputInterval = (parameters, simulationDays, timestep) => {
+  const requested = parameters.outputInterval * 60
+  if (requested > 0) {
+    const interval = Math.max(1, Math.round(requested / timestep)) * timestep
+    if ((simulationDays * 24 * 3600) / interval <= MAX_SAMPLES) {
+      return interval
+    }
+    return Math.max(interval, getSamplingInterval(simulationDays, interval / 3600))
+  }
+  const resolution = isCloudModelActive(parameters) ? CLOUD_RESOLUTION_HOURS : DEFAULT_RESOLUTION_HOURS
+  return getSamplingInterval(simulationDays, resolution)
+}
+
+/**
+ * Create the component models of the solar water heating system in step order
+ * Ambient and irradiance first, so the collector and tank see this step's weather;
+ * the collector before the tank, so the loop reads the tank at the end of the previous step.
+ *
+ * @param {object} parameters - All simulation parameters
+ * @returns {array} Component models for runSimulation
+ */
+export const createSystemModels = (parameters) => [
+  createAmbientModel(parameters),
+  createIrradianceModel(parameters),
+  createCollectorModel(parameters),
+  createStorageTankModel(parameters),
+]
+
+// Number of recent runs kept, enough for the current parameters and a few overlaid scenarios
+const MAX_CACHED_RUNS = 8
+
+// Results of the most recent runs, newest last, shared by all views of the same parameters object
+let recentRuns = []
+
+/**
+ * Run the solar water heating system over the configured horizon
+ * The irradiance, panel and tank views are projections of this one run; repeated calls
+ * with one of the last few parameters objects return the cached result.
+ * At full resolution every integration step is recorded instead of the output interval.
+ *
+ * @param {object} parameters - All simulation parameters
+ * @param {object} options - fullResolution: record every timestep. Default: false
+ * @returns {object} Result of runSimulation: time, channels, summaries and run info
+ */
+export const runSystemSimulation = (parameters, { fullResolution = false } = {}) => {
+  const cached = recentRuns.find((run) => run.parameters === parameters && run.fullResolution === fullResolution)
+  if (cached) {
+    return cached.result
+  }
+
+  const simulationDays = getSimulationDays(parameters)
+  const timestep = getTimestep(simulationDays, parameters.timestep)
+  const result = runSimulation(createSystemModels(parameters), {
+    duration: simulationDays * 24,
+    timestep,
+    outputInterval: fullResolution ? timestep : getOutputInterval(parameters, simulationDays, timestep),
+    parameters,
+  })
+
+  recentRuns = [...recentRuns.slice(1 - MAX_CACHED_RUNS), { parameters, fullResolution, result }]
+  return result
+}
+
+/**
+ * Run the storage tank energy balance over the configured horizon
+ * @param {object} parameters - All simulation parameters
+ * @returns {object} Sampled time series (in hours), per-day aggregates, pump and energy totals
+ */
+export const runStorageTankSimulation = (parameters) => {
+  const result = runSystemSimulation(parameters)
+  const { collector, tank } = result.summaries
+  const values = (channelId) => result.channels[channelId].values
+  const nodeTemps = Object.keys(result.channels).filter((id) => id.startsWith('tank.layer')).map(values)
+
+  const series = {
+    time: result.time,
+    tankTemp: values('tank.tankTemp'),
+    nodeTemps: nodeTemps.length > 0 ? nodeTemps : [values('tank.tankTemp')],
+    heatIn: values('collector.heatOutput'),
+    heatLoss: values('tank.heatLoss'),
+    collectorOutletTemp: values('collector.outletTemp'),
+    pumpState: values('collector.pumpState'),
+    pumpRuntime: values('collector.pumpRuntime'),
+    pumpEnergy: values('collector.pumpEnergy'),
+    auxHeat: values('tank.auxHeat'),
+    solarEnergy: values('collector.solarEnergy'),
+    auxEnergy: values('tank.auxEnergy'),
+    drawOff: values('tank.drawOff'),
+    deliveredEnergy: values('tank.deliveredEnergy'),
+    unmetEnergy: values('tank.unmetEnergy'),
+    ambientTemp: values('ambient.ambientTemp'),
+  }
+
+  const pump = {
+    runtimeHours: collector.runtimeHours,
+    electricity: collector.electricity,
+  }
+
+  // Heat delivered to the tank by each source and the backup heater's final energy input (kWh)
+  const energy = {
+    solar: collector.solar,
+    auxiliary: tank.auxiliary,
+    auxiliaryInput: tank.auxiliaryInput,
+  }
+
+  return { series, daily: tank.daily, pump, energy }
+}
+
+/**
+ * Summarise the accuracy and cost of a system run
+ * The energy-balance residual is the change in stored tank energy not explained by the heat
+ * flows across the tank boundary (trapezoidal rule per step). It shrinks as the solution
+ * converges; relative to the solar and auxiliary heat put into the tank.
+ *
+ * @param {object} parameters - All simulation parameters
+ * @returns {object} Integrator label, timestep and output interval (s), steps, substeps,
+ *                   derivative evaluations, wall-clock time (ms) and energy residual (kWh and fraction)
+ */
+export const getRunInfo = (parameters) => {
+  const result = runSystemSimulation(parameters)
+  const { collector, tank } = result.summaries
+  const heatInput = Math.abs(collector.solar) + tank.auxiliary
+  return {
+    integrator: INTEGRATORS[parameters.integrator] || INTEGRATORS.euler,
+    timestep: result.timestep,
+    outputInterval: result.outputInterval,
+    steps: result.steps,
+    substeps: tank.integrator.substeps,
+    evaluations: tank.integrator.evaluations,
+    rejected: tank.integrator.rejected,
+    wallTime: result.wallTime,
+    energyResidual: tank.energyResidual,
+    relativeResidual: heatInput > 0 ? tank.energyResidual / heatInput : 0,
+  }
+}
@@ -1,9 +1,11 @@
 /**
  * Storage Tank Calculations
- * Functions for tank heat loss and temperature simulation
+ * Functions for tank heat loss and the storage tank component model
  */
 
-import { calculatePanelOutput } from './panel.js'
+import { calculateDrawDemand, calculateDrawOff } from './consumption.js'
+import { updateAuxiliaryHeater, calculateAuxiliaryInput } from './auxiliary.js'
+import { createIntegrator } from './integrators.js'
 
 /**
  * Calculate heat loss from storage tank to environment
@@ -21,148 +23,289 @@ export const calculateTankHeatLoss = (tankTemp, ambientTemp, surfaceArea, uValue
   return Math.max(0, heatLoss)
 }
 
+// Node count limits for the stratified model
+const MIN_STRATIFIED_NODES = 2
+const MAX_STRATIFIED_NODES = 50
+
+// Share of a node's heat capacity that may be exchanged (flows, conduction, wall loss) per kelvin
+// in one explicit substep: at most 1 keeps the upwind scheme stable, a quarter also bounds the
+// truncation error (the energy residual) of long steps
+const STABLE_EXCHANGE_FRACTION = 0.25
+
 /**
- * Simulate storage tank temperature profile over 24 hours
- * Implements full energy balance with time-varying solar input and dynamic heat loss
- * 
+ * Resolve the number of tank nodes for the selected tank model
  * @param {object} parameters - All simulation parameters
- * @returns {array} Array of plot data series
+ * @returns {number} 1 for the fully mixed model, tankNodes (2-50) for the stratified model
+ */
+export const getTankNodeCount = (parameters) => {
+  if (parameters.tankModel !== 'stratified') {
+    return 1
+  }
+  return Math.min(MAX_STRATIFIED_NODES, Math.max(MIN_STRATIFIED_NODES, Math.round(parameters.tankNodes || MIN_STRATIFIED_NODES)))
+}
+
+/**
+ * Remove temperature inversions by mixing unstable layers
+ * A node hotter than the node above it rises: adjacent unstable nodes are merged into
+ * blocks at their mass-weighted mean temperature until the profile is stable.
+ * Nodes are ordered top (index 0) to bottom; all nodes have equal mass.
+ *
+ * @param {number[]} nodeTemps - Node temperatures in °C, top to bottom
+ * @returns {number[]} Stable node temperatures, top to bottom
  */
-export const simulateStorageTank = (parameters) => {
+export const mixBuoyancy = (nodeTemps) => {
+  const blocks = []
+  for (const temp of nodeTemps) {
+    blocks.push({ temp, count: 1 })
+    // Merge while the block below is hotter than the block above it
+    while (blocks.length > 1 && blocks[blocks.length - 1].temp > blocks[blocks.length - 2].temp) {
+      const lower = blocks.pop()
+      const upper = blocks[blocks.length - 1]
+      upper.temp = (upper.temp * upper.count + lower.temp * lower.count) / (upper.count + lower.count)
+      upper.count += lower.count
+    }
+  }
+  return blocks.flatMap((block) => Array(block.count).fill(block.temp))
+}
+
+/**
+ * Create the storage tank component model
+ * The tank is a column of equal-mass nodes (one node for the fully mixed model).
+ * The collector loop returns to the top and draws from the bottom; hot water is drawn
+ * from the top and replaced by mains water at the bottom. The backup heater sits in the
+ * upper third. The tank state is carried continuously across midnight for multi-day runs.
+ * The node balances are integrated explicitly, so a step longer than the stability limit of
+ * the current flows (a node exchanging more than its own heat capacity) is split into substeps.
+ *
+ * Reads signals: ambientTemp, qPanel, loopFlowRate, collectorOutletTemp
+ * Publishes signals: tankTopTemp, tankBottomTemp
+ *
+ * @param {object} parameters - All simulation parameters
+ * @returns {object} Component model for runSimulation, summarising per-day aggregates and energy totals (kWh)
+ */
+export const createStorageTankModel = (parameters) => {
   const {
     tankVolume,
     initialTankTemp,
     tankSurfaceArea,
     tankInsulationUValue,
-    ambientTemp,
-    panelArea,
-    panelEfficiencyRef,
-    panelUValue,
-    panelRefTemp,
-    panelTempCoefficient,
-    irradianceStartHour,
-    irradianceEndHour,
-    irradiancePeakHour,
-    solarIrradiancePeak,
+    tankHeight,
+    tankConductivity,
+    mainsTemp,
+    deliveryTemp,
+    massFlowRate,
+    collectorFluidSpecificHeat,
+    auxPower,
+    auxEfficiency,
   } = parameters
 
   const tankMass = tankVolume // kg (1 liter ~ 1 kg)
   const specificHeat = 4186 // J/(kg*K) for water
-  const dt = 10 // timestep in seconds
-  const totalTime = 24 * 3600 // 24 hours
-  const numSteps = Math.floor(totalTime / dt)
-  const samplingInterval = 3600 // sample every hour (3600 seconds)
 
-  const tankTempData = []
-  const heatInData = []
-  const heatLossData = []
-  const ambientTempData = []
+  // Node geometry: equal slices of a vertical cylinder
+  const nodeCount = getTankNodeCount(parameters)
+  const nodeMass = tankMass / nodeCount
+  const nodeLossArea = tankSurfaceArea / nodeCount
+  const nodeHeight = tankHeight / nodeCount
+  const crossSection = tankVolume / 1000 / tankHeight // m²
+  const conductance = nodeCount > 1 ? (tankConductivity * crossSection) / nodeHeight : 0 // W/K between nodes
+  const bottom = nodeCount - 1
+  // Backup heater element and its thermostat sit in the upper third of the tank
+  const heaterNode = Math.floor(nodeCount / 3)
 
-  let currentTankTemp = initialTankTemp
-  let lastQPanel = 0
-  let lastQTankLoss = 0
-
-  // Add initial data point (t=0)
-  tankTempData.push({
-    x: 0,
-    y: parseFloat(initialTankTemp.toFixed(2)),
-  })
-  heatInData.push({
-    x: 0,
-    y: 0,
-  })
-  heatLossData.push({
-    x: 0,
-    y: 0,
-  })
-  ambientTempData.push({
-    x: 0,
-    y: ambientTemp,
-  })
-
-  for (let i = 1; i < numSteps; i++) {
-    const currentTime = i * dt
-    const timeHours = currentTime / 3600
-
-    // Calculate solar irradiance for this timestep
-    let irradiance = 0
-    if (timeHours >= irradianceStartHour && timeHours <= irradianceEndHour) {
-      const fractionOfDay = (timeHours - irradianceStartHour) / (irradianceEndHour - irradianceStartHour)
-      const peakFraction = (irradiancePeakHour - irradianceStartHour) / (irradianceEndHour - irradianceStartHour)
-      irradiance = solarIrradiancePeak * Math.cos((fractionOfDay - peakFraction) * Math.PI)
-      irradiance = Math.max(0, irradiance)
-    }
+  const meanTemp = (temps) => temps.reduce((sum, t) => sum + t, 0) / temps.length
+  const storedEnergy = (temps) => temps.reduce((sum, t) => sum + t, 0) * nodeMass * specificHeat // J above 0 °C
+
+  // Per-node heat flows in Watts for a temperature profile, top to bottom
+  const calculateNodeHeat = (temps, ambientTemp, drawFlowRate, loopFlowRate, collectorOutletTemp, qPanel, qAux) => {
+    const nodeHeat = Array(nodeCount).fill(0)
+    nodeHeat[heaterNode] += qAux
+    for (let n = 0; n < nodeCount; n++) {
+      const temp = temps[n]
 
-    // Calculate panel temperature at equilibrium
-    let panelTemp = ambientTemp
-    if (irradiance > 0) {
-      const solarCollected = irradiance * panelArea * panelEfficiencyRef
-      panelTemp = ambientTemp + (solarCollected / (panelUValue * panelArea))
+      // Wall loss to environment
+      nodeHeat[n] -= calculateTankHeatLoss(temp, ambientTemp, nodeLossArea, tankInsulationUValue)
+
+      // Collector return enters at the top and flows down through the tank
+      if (loopFlowRate > 0) {
+        const upstreamTemp = n === 0 ? collectorOutletTemp : temps[n - 1]
+        nodeHeat[n] += loopFlowRate * collectorFluidSpecificHeat * (upstreamTemp - temp)
+      }
+
+      // Draw-off: mains water enters at the bottom and pushes the column up
+      const belowTemp = n === bottom ? mainsTemp : temps[n + 1]
+      nodeHeat[n] += drawFlowRate * specificHeat * (belowTemp - temp)
+
+      // Conduction between neighbouring nodes
+      if (n > 0) nodeHeat[n] += conductance * (temps[n - 1] - temp)
+      if (n < bottom) nodeHeat[n] += conductance * (temps[n + 1] - temp)
     }
 
-    // Calculate heat output from panel to tank
-    const qPanel = calculatePanelOutput(irradiance, panelTemp, currentTankTemp, ambientTemp, panelArea, panelUValue, panelEfficiencyRef, panelRefTemp, panelTempCoefficient)
-
-    // Calculate tank heat loss to environment
-    const qTankLoss = calculateTankHeatLoss(currentTankTemp, ambientTemp, tankSurfaceArea, tankInsulationUValue)
-
-    // Store current values for sampling
-    lastQPanel = qPanel
-    lastQTankLoss = qTankLoss
-
-    // Energy balance: net energy into tank per timestep
-    // Q_net = (heat_in - heat_loss) * dt (in Joules)
-    const qNet = (qPanel - qTankLoss) * dt
-
-    // Update tank temperature
-    // ΔT = Q / (m * c_p)
-    const deltaT = qNet / (tankMass * specificHeat)
-    currentTankTemp = Math.max(ambientTemp, currentTankTemp + deltaT)
-
-    // Store data every hour for clean visualization
-    if (i % (samplingInterval / dt) === 0) {
-      const roundedHours = parseFloat(timeHours.toFixed(2))
-      tankTempData.push({
-        x: roundedHours,
-        y: parseFloat(currentTankTemp.toFixed(2)),
-      })
-      heatInData.push({
-        x: roundedHours,
-        y: parseFloat(lastQPanel.toFixed(2)),
-      })
-      heatLossData.push({
-        x: roundedHours,
-        y: parseFloat(lastQTankLoss.toFixed(2)),
-      })
-      ambientTempData.push({
-        x: roundedHours,
-        y: ambientTemp,
-      })
+    // Without a loop flow the panel heat enters the bottom node, like an immersed coil
+    if (!(massFlowRate > 0)) {
+      nodeHeat[bottom] += qPanel
     }
+    return nodeHeat
   }
 
-  return [
-    {
-      id: 'Heat In (W)',
-      color: 'hsl(120, 100%, 50%)',
-      data: heatInData,
-    },
-    {
-      id: 'Heat Loss (W)',
-      color: 'hsl(210, 100%, 50%)',
-      data: heatLossData,
-    },
-    {
-      id: 'Tank Temperature (°C)',
-      color: 'hsl(0, 100%, 50%)',
-      data: tankTempData,
+  const integrator = createIntegrator(parameters.integrator, { tolerance: parameters.integratorTolerance })
+
+  let nodeTemps = Array(nodeCount).fill(initialTankTemp)
+  let currentTankTemp = initialTankTemp
+  let qTankLoss = 0
+  let qDraw = 0
+  let qAux = 0
+  let auxOn = false
+  let deliveredEnergy = 0 // J
+  let unmetEnergy = 0 // J
+  let auxEnergy = 0 // J
+  let boundaryHeat = 0 // J
+  let lossEnergy = 0 // J
+  let peakTankTemp = initialTankTemp
+  const initialEnergy = storedEnergy(nodeTemps)
+
+  // Running aggregates for the current day
+  const daily = []
+  let dayMinTemp = initialTankTemp
+  let dayMaxTemp = initialTankTemp
+  let daySolarEnergy = 0
+  let dayDeliveredEnergy = 0
+  let dayUnmetEnergy = 0
+  let dayAuxEnergy = 0
+
+  const publish = (signals) => {
+    signals.tankTopTemp = nodeTemps[0]
+    signals.tankBottomTemp = nodeTemps[bottom]
+  }
+
+  // One channel per layer for the stratified model
+  const layerChannels = nodeCount > 1
+    ? Object.fromEntries(nodeTemps.map((_, n) => [`layer${n + 1}`, {
+      label: `Layer ${n + 1}${n === 0 ? ' (Top)' : ''}${n === bottom ? ' (Bottom)' : ''}`,
+      unit: '°C',
+      quantity: 'temperature',
+    }]))
+    : {}
+
+  return {
+    id: 'tank',
+    channels: {
+      tankTemp: { label: 'Tank Temperature', unit: '°C', quantity: 'temperature' },
+      ...layerChannels,
+      heatLoss: { label: 'Heat Loss', unit: 'W', quantity: 'power' },
+      auxHeat: { label: 'Auxiliary Heat', unit: 'W', quantity: 'power' },
+      drawOff: { label: 'Hot Water Draw', unit: 'W', quantity: 'power' },
+      auxEnergy: { label: 'Auxiliary Energy', unit: 'kWh', quantity: 'energy' },
+      deliveredEnergy: { label: 'Hot Water Delivered', unit: 'kWh', quantity: 'energy' },
+      unmetEnergy: { label: 'Unmet Demand', unit: 'kWh', quantity: 'energy' },
     },
-    {
-      id: 'Ambient Temperature (°C)',
-      color: 'hsl(0, 60%, 50%)',
-      data: ambientTempData,
-      dashed: true,
+
+    init: (context) => publish(context.signals),
+
+    step: (context) => {
+      const { t: timeHours, dt, step, signals } = context
+      const { ambientTemp, qPanel, loopFlowRate, collectorOutletTemp } = signals
+      const topTemp = nodeTemps[0]
+
+      // Cold mains replacing drawn water can pull the tank below ambient
+      const minTankTemp = Math.min(ambientTemp, mainsTemp)
+
+      // Hot water drawn from the top of the tank and replaced by cold mains water at the bottom
+      const draw = calculateDrawOff(calculateDrawDemand(timeHours, parameters), topTemp, mainsTemp, deliveryTemp)
+
+      // Backup heater thermostat
+      auxOn = updateAuxiliaryHeater(auxOn, nodeTemps[heaterNode], timeHours, parameters)
+      qAux = auxOn ? auxPower : 0
+
+      // Energy balance per node: dT/dt = Q / (m * c_p), inputs held over the step
+      const derivative = (temps) => calculateNodeHeat(temps, ambientTemp, draw.flowRate, loopFlowRate, collectorOutletTemp, qPanel, qAux)
+        .map((heat) => heat / (nodeMass * specificHeat))
+      const netHeat = (temps) => calculateNodeHeat(temps, ambientTemp, draw.flowRate, loopFlowRate, collectorOutletTemp, qPanel, qAux)
+        .reduce((sum, heat) => sum + heat, 0)
+
+      qTankLoss = nodeTemps.reduce((sum, temp) => sum + calculateTankHeatLoss(temp, ambientTemp, nodeLossArea, tankInsulationUValue), 0)
+      qDraw = draw.heatRemoved
+      lossEnergy += qTankLoss * dt
+      deliveredEnergy += draw.delivered * dt
+      unmetEnergy += draw.unmet * dt
+      auxEnergy += qAux * dt
+
+      // Heat exchanged per kelvin by the node with the most connections: loop and draw flows,
+      // conduction to both neighbours and its wall
+      const exchange = (loopFlowRate > 0 ? loopFlowRate * collectorFluidSpecificHeat : 0)
+        + draw.flowRate * specificHeat + 2 * conductance + tankInsulationUValue * nodeLossArea // W/K
+      const substeps = Math.max(1, Math.ceil((dt * exchange) / (STABLE_EXCHANGE_FRACTION * nodeMass * specificHeat)))
+      const substep = dt / substeps
+      for (let i = 0; i < substeps; i++) {
+        const integrated = integrator.step(derivative, nodeTemps, substep)
+        // Heat crossing the tank boundary over the substep, trapezoidal rule
+        boundaryHeat += ((netHeat(nodeTemps) + netHeat(integrated)) / 2) * substep
+
+        nodeTemps = integrated.map((temp) => Math.max(minTankTemp, temp))
+        if (nodeCount > 1) {
+          nodeTemps = mixBuoyancy(nodeTemps)
+        }
+      }
+      currentTankTemp = meanTemp(nodeTemps)
+      peakTankTemp = Math.max(peakTankTemp, currentTankTemp)
+      publish(signals)
+
+      dayMinTemp = Math.min(dayMinTemp, currentTankTemp)
+      dayMaxTemp = Math.max(dayMaxTemp, currentTankTemp)
+      daySolarEnergy += qPanel * dt
+      dayDeliveredEnergy += draw.delivered * dt
+      dayUnmetEnergy += draw.unmet * dt
+      dayAuxEnergy += qAux * dt
+
+      // Close the day at midnight and start the next one from the current state
+      const stepsPerDay = (24 * 3600) / dt
+      if (step % stepsPerDay === 0) {
+        daily.push({
+          day: step / stepsPerDay,
+          endTime: timeHours,
+          minTankTemp: dayMinTemp,
+          maxTankTemp: dayMaxTemp,
+          endTankTemp: currentTankTemp,
+          solarEnergy: daySolarEnergy / 3.6e6, // J -> kWh
+          deliveredEnergy: dayDeliveredEnergy / 3.6e6,
+          unmetEnergy: dayUnmetEnergy / 3.6e6,
+          auxiliaryEnergy: dayAuxEnergy / 3.6e6,
+        })
+        dayMinTemp = currentTankTemp
+        dayMaxTemp = currentTankTemp
+        daySolarEnergy = 0
+        dayDeliveredEnergy = 0
+        dayUnmetEnergy = 0
+        dayAuxEnergy = 0
+      }
     },
-  ]
-}
 
+    output: () => ({
+      tankTemp: currentTankTemp,
+      ...Object.fromEntries(nodeTemps.map((temp, n) => [`layer${n + 1}`, temp]).filter(() => nodeCount > 1)),
+      heatLoss: qTankLoss,
+      auxHeat: qAux,
+      drawOff: qDraw,
+      auxEnergy: auxEnergy / 3.6e6,
+      deliveredEnergy: deliveredEnergy / 3.6e6,
+      unmetEnergy: unmetEnergy / 3.6e6,
+    }),
+
+    summary: () => ({
+      daily,
+      nodeTemps,
+      // Heat delivered by the backup heater and its final energy input (kWh)
+      auxiliary: auxEnergy / 3.6e6,
+      auxiliaryInput: calculateAuxiliaryInput(auxEnergy, auxEfficiency) / 3.6e6,
+      delivered: deliveredEnergy / 3.6e6,
+      unmet: unmetEnergy / 3.6e6,
+      losses: lossEnergy / 3.6e6,
+      // Mean tank temperature (°C)
+      peakTemp: peakTankTemp,
+      finalTemp: currentTankTemp,
+      // Stored energy change not explained by the heat flows across the tank boundary (kWh)
+      energyResidual: (storedEnergy(nodeTemps) - initialEnergy - boundaryHeat) / 3.6e6,
+      integrator: { ...integrator.stats },
+    }),
+  }
+}
@@ -0,0 +1,250 @@
+/**
+ * Unit Systems
+ * Converts SI quantities to US customary units for display and user input back to SI.
+ * The simulation always works in SI; only what is shown and typed in the UI is converted.
+ */
+
+export const UNIT_SYSTEMS = [
+  { value: 'si', label: 'SI' },
+  { value: 'imperial', label: 'US' },
+]
+
+// localStorage key of the selected unit system
+const STORAGE_KEY = 'solar-water-heating.unitSystem'
+
+// Exact definitions of the US units in SI
+const BTU = 1055.05585262 // J (International Table)
+const GALLON = 3.785411784 // L
+const FOOT = 0.3048 // m
+const POUND = 0.45359237 // kg
+const FAHRENHEIT_PER_KELVIN = 1.8
+
+// US unit of each SI unit: display = SI * factor + offset
+const IMPERIAL_UNITS = {
+  '°C': { unit: '°F', factor: FAHRENHEIT_PER_KELVIN, offset: 32 },
+  // Temperature differences
+  K: { unit: '°F', factor: FAHRENHEIT_PER_KELVIN },
+  L: { unit: 'gal', factor: 1 / GALLON },
+  'L/h': { unit: 'gal/h', factor: 1 / GALLON },
+  m: { unit: 'ft', factor: 1 / FOOT },
+  'm²': { unit: 'ft²', factor: 1 / FOOT ** 2 },
+  W: { unit: 'BTU/h', factor: 3600 / BTU },
+  'W/m²': { unit: 'BTU/h·ft²', factor: (3600 / BTU) * FOOT ** 2 },
+  'W/m²·K': { unit: 'BTU/h·ft²·°F', factor: ((3600 / BTU) * FOOT ** 2) / FAHRENHEIT_PER_KELVIN },
+  'W/m²·K²': { unit: 'BTU/h·ft²·°F²', factor: ((3600 / BTU) * FOOT ** 2) / FAHRENHEIT_PER_KELVIN ** 2 },
+  'W/m·K': { unit: 'BTU/h·ft·°F', factor: ((3600 / BTU) * FOOT) / FAHRENHEIT_PER_KELVIN },
+  // Reduced temperature difference of collector efficiency curves, the inverse of a loss coefficient
+  'm²·K/W': { unit: 'h·ft²·°F/BTU', factor: FAHRENHEIT_PER_KELVIN / ((3600 / BTU) * FOOT ** 2) },
+  'J/K': { unit: 'BTU/°F', factor: 1 / BTU / FAHRENHEIT_PER_KELVIN },
+  'J/kg·K': { unit: 'BTU/lb·°F', factor: POUND / BTU / FAHRENHEIT_PER_KELVIN },
+  'kg/s': { unit: 'lb/s', factor: 1 / POUND },
+  'kg/kWh': { unit: 'lb/kWh', factor: 1 / POUND },
+  '%/°C': { unit: '%/°F', factor: 1 / FAHRENHEIT_PER_KELVIN },
+}
+
+// How units are written in running text, longest first so 'W/m²' wins over 'W'
+const TEXT_UNITS = [
+  ['W/(m²·K²)', 'W/m²·K²'],
+  ['W/(m²·K)', 'W/m²·K'],
+  ['W/(m²*K)', 'W/m²·K'],
+  ['W/(m*K)', 'W/m·K'],
+  ['square meters', 'm²'],
+  ['liters', 'L'],
+  ['W/m²', 'W/m²'],
+  ['kg/s', 'kg/s'],
+  ['J/K', 'J/K'],
+  ['°C', '°C'],
+  ['m²', 'm²'],
+  ['W', 'W'],
+  ['K', 'K'],
+]
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+const TEXT_UNIT_PATTERN = TEXT_UNITS.map(([written]) => escapeRegExp(written)).join('|')
+// Not followed by more of a unit, so 'W' does not match the start of 'W/m²' or 'K' of 'K(θ)'
+const UNIT_END = '(?![\\w²/(·*])'
+// A value or range with a unit, e.g. '25°C' or '2000-3000 W'
+const QUANTITY_REGEX = new RegExp(`(-?\\d+(?:\\.\\d+)?)(?:-(\\d+(?:\\.\\d+)?))?\\s?(${TEXT_UNIT_PATTERN})${UNIT_END}`, 'g')
+// A unit named without a value, e.g. 'in °C'
+const UNIT_NAME_REGEX = new RegExp(`\\bin (${TEXT_UNIT_PATTERN})${UNIT_END}`, 'g')
+// A plain number inside free text such as the hourly draw table
+const NUMBER_REGEX = /\d+(?:\.\d+)?/g
+
+const SI_UNIT_OF_TEXT = Object.fromEntries(TEXT_UNITS)
+
+const getConversion = (unit, system) => (system === 'imperial' ? IMPERIAL_UNITS[unit] : undefined)
+
+// Twelve significant digits hide the rounding error of a round trip, so 10 gal stays 10 gal
+const clean = (value) => parseFloat(value.toPrecision(12))
+
+/**
+ * Unit shown for an SI unit
+ * @param {string} unit - SI unit, e.g. '°C'
+ * @param {string} system - 'si' or 'imperial'
+ * @returns {string} Display unit, the SI unit when there is no conversion
+ */
+export const getDisplayUnit = (unit, system) => getConversion(unit, system)?.unit ?? unit
+
+/**
+ * Convert an SI value for display
+ * @param {number} value - Value in the SI unit
+ * @param {string} unit - SI unit
+ * @param {string} system - 'si' or 'imperial'
+ * @returns {number} Value in the display unit
+ */
+export const toDisplayValue = (value, unit, system) => {
+  const conversion = getConversion(unit, system)
+  return conversion ? clean(value * conversion.factor + (conversion.offset ?? 0)) : value
+}
+
+/**
+ * Convert a value entered in the display unit to SI
+ * @param {number} value - Value in the display unit
+ * @param {string} unit - SI unit
+ * @param {string} system - 'si' or 'imperial'
+ * @returns {number} Value in the SI unit, unrounded so it converts back to exactly the value entered
+ */
+export const fromDisplayValue = (value, unit, system) => {
+  const conversion = getConversion(unit, system)
+  return conversion ? (value - (conversion.offset ?? 0)) / conversion.factor : value
+}
+
+// Convert every number in a text, leaving separators and anything else as typed
+const mapNumbers = (text, convert) => text.replace(NUMBER_REGEX, (number) => String(convert(parseFloat(number))))
+
+/**
+ * Convert the numbers of a list in SI text, e.g. the hourly draw table, for display
+ * @param {string} text - Text with values in the SI unit
+ * @param {string} unit - SI unit of every value
+ * @param {string} system - 'si' or 'imperial'
+ * @returns {string} Same text with the values in the display unit
+ */
+export const toDisplayText = (text, unit, system) => (getConversion(unit, system)
+  ? mapNumbers(text, (value) => toDisplayValue(value, unit, system))
+  : text)
+
+/**
+ * Convert the numbers of a list typed in the display unit to SI
+ * @param {string} text - Text with values in the display unit
+ * @param {string} unit - SI unit of every value
+ * @param {string} system - 'si' or 'imperial'
+ * @returns {string} Same text with the values in the SI unit
+ */
+export const fromDisplayText = (text, unit, system) => (getConversion(unit, system)
+  ? mapNumbers(text, (value) => fromDisplayValue(value, unit, system))
+  : text)
+
+/**
+ * Replace SI units in parentheses in a label, e.g. 'Tank Temperature (°C)'
+ * @param {string} label - Label, series id or axis title
+ * @param {string} system - 'si' or 'imperial'
+ * @returns {string} Label with display units
+ */
+export const convertUnitLabel = (label, system) => label.replace(/\(([^()]+)\)/g, (match, unit) => (
+  getConversion(unit, system) ? `(${getDisplayUnit(unit, system)})` : match
+))
+
+const formatTextValue = (value) => String(parseFloat(value.toPrecision(3)))
+
+/**
+ * Convert the quantities in a description, e.g. 'Typical: 55-60°C' or 'in W/m²'
+ * Values are rounded to three significant digits; units without a conversion are left as written.
+ *
+ * @param {string} text - Description in SI units
+ * @param {string} system - 'si' or 'imperial'
+ * @returns {string} Description in display units
+ */
+export const convertText = (text, system) => {
+  if (system !== 'imperial') {
+    return text
+  }
+  return text
+    .replace(QUANTITY_REGEX, (match, from, to, written) => {
+      const unit = SI_UNIT_OF_TEXT[written]
+      const range = [from, to].filter(Boolean).map((value) => formatTextValue(toDisplayValue(parseFloat(value), unit, system)))
+      return `${range.join('-')} ${getDisplayUnit(unit, system)}`
+    })
+    .replace(UNIT_NAME_REGEX, (match, written) => `in ${getDisplayUnit(SI_UNIT_OF_TEXT[written], system)}`)
+}
+
+// SI unit of a series: its unit, or the first convertible unit in parentheses in its id
+const getSeriesUnit = (series) => series.unit
+  ?? [...series.id.matchAll(/\(([^()]+)\)/g)].map(([, unit]) => unit).find((unit) => IMPERIAL_UNITS[unit])
+
+// A series plotted against another quantity than time (xUnit): x values, axis title and the
+// quantities in its name, e.g. 'Efficiency at 1000 W/m² (%)', in display units
+const convertSeriesX = (series, system) => {
+  if (!getConversion(series.xUnit, system)) {
+    return series
+  }
+  return {
+    ...series,
+    id: convertText(series.id, system),
+    ...(series.baseId && { baseId: convertText(series.baseId, system) }),
+    xUnit: getDisplayUnit(series.xUnit, system),
+    xLabel: convertUnitLabel(series.xLabel, system),
+    data: series.data.map((point) => ({ ...point, x: parseFloat(toDisplayValue(point.x, series.xUnit, system).toPrecision(4)) })),
+  }
+}
+
+/**
+ * Convert plot series for display
+ * y values and the units in ids are converted; time on x is left in SI, other x quantities
+ * (series with xUnit) are converted too.
+ *
+ * @param {array} series - Plot series in SI
+ * @param {string} system - 'si' or 'imperial'
+ * @returns {array} Series in display units, the same array when nothing changes
+ */
+export const convertSeries = (series, system) => (system !== 'imperial' ? series : series.map((s) => {
+  const unit = getSeriesUnit(s)
+  const converted = !getConversion(unit, system) ? s : {
+    ...s,
+    id: convertUnitLabel(s.id, system),
+    ...(s.baseId && { baseId: convertUnitLabel(s.baseId, system) }),
+    unit: getDisplayUnit(unit, system),
+    data: s.data.map((point) => ({ ...point, y: parseFloat(toDisplayValue(point.y, unit, system).toFixed(2)) })),
+  }
+  return s.xUnit ? convertSeriesX(converted, system) : converted
+}))
+
+// Browser storage, undefined when it is disabled: even reading localStorage can throw a SecurityError
+const getStorage = () => {
+  try {
+    return globalThis.localStorage
+  } catch {
+    return undefined
+  }
+}
+
+/**
+ * Load the selected unit system
+ * @param {object} storage - Web Storage to read from. Default: localStorage
+ * @returns {string} 'si' or 'imperial', 'si' when nothing valid is saved or storage cannot be read
+ */
+export const loadUnitSystem = (storage = getStorage()) => {
+  let saved
+  try {
+    saved = storage?.getItem(STORAGE_KEY)
+  } catch {
+    return 'si'
+  }
+  return UNIT_SYSTEMS.some((system) => system.value === saved) ? saved : 'si'
+}
+
+/**
+ * Save the selected unit system
+ * The choice is a convenience: when storage is disabled or full it only lasts until the page is reloaded.
+ *
+ * @param {string} system - 'si' or 'imperial'
+ * @param {object} storage - Web Storage to write to. Default: localStorage
+ * @returns {boolean} Whether the choice was saved
+ */
+export const saveUnitSystem = (system, storage = getStorage()) => {
+  try {
+    storage.setItem(STORAGE_KEY, system)
+    return true
+  } catch {
+    return false
+  }
+}
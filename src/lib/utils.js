@@ -5,3 +5,21 @@ export function cn(...inputs) {
   return twMerge(clsx(inputs))
 }
 
+
+// Offer text or a Blob as a file download, entirely in the browser
+export function downloadFile(data, fileName, type = "text/plain") {
+  const url = URL.createObjectURL(data instanceof Blob ? data : new Blob([data], { type }))
+  const link = document.createElement("a")
+  link.href = url
+  link.download = fileName
+  link.click()
+  // Revoking right away can cancel the download in Firefox and Safari, large files especially;
+  // keep the URL alive until the browser has surely started reading it
+  setTimeout(() => URL.revokeObjectURL(url), 40000)
+}
+
+// Turn a title into a safe file name with the given extension
+export function toFileName(name, extension) {
+  const base = name.trim().replace(/[^\w-]+/g, "-").replace(/^-+|-+$/g, "")
+  return `${base || "download"}.${extension}`
+}
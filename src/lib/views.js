@@ -0,0 +1,161 @@
+/**
+ * Simulation Views
+ * Plot series for each section, projected from one run of the solar water heating system
+ * so the irradiance, panel and tank plots always agree
+ */
+
+import { channelToSeries } from './engine.js'
+import { runSystemSimulation } from './system.js'
+import { isCloudModelActive } from './clouds.js'
+import { getCollectorCoefficients, sampleEfficiencyCurve } from './collector.js'
+
+// Build {x, y} plot points from parallel time and value arrays
+const toPlotData = (time, values) => time.map((t, idx) => ({
+  x: parseFloat(t.toFixed(2)),
+  y: parseFloat(values[idx].toFixed(2)),
+}))
+
+// Irradiance levels at which the rated efficiency curve is drawn, in W/m²
+const EFFICIENCY_CURVE_IRRADIANCES = [1000, 500]
+
+/**
+ * Simulate solar irradiance profile over the configured horizon
+ * Plots horizontal beam and diffuse components alongside the plane-of-array total on the collector.
+ * With the cloud model active the profile is sampled every 5 minutes and the
+ * clear-sky global and plane-of-array curves are plotted next to the cloudy ones.
+ * @param {object} parameters - All simulation parameters
+ * @param {object} options - fullResolution: one point per integration step. Default: false
+ * @returns {array} Array of plot data series
+ */
+export const simulateSolarIrradiance = (parameters, options) => {
+  const result = runSystemSimulation(parameters, options)
+  const cloudy = isCloudModelActive(parameters)
+
+  return [
+    channelToSeries(result, 'irradiance.ghi', { id: 'Global Horizontal', color: 'hsl(44, 100%, 50%)', dashed: !cloudy }),
+    channelToSeries(result, 'irradiance.beam', { id: 'Beam Horizontal', color: 'hsl(20, 100%, 55%)' }),
+    channelToSeries(result, 'irradiance.dhi', { id: 'Diffuse Horizontal', color: 'hsl(200, 80%, 60%)' }),
+    channelToSeries(result, 'irradiance.poa', { id: 'Plane of Array', color: 'hsl(120, 80%, 50%)' }),
+    ...(cloudy ? [
+      channelToSeries(result, 'irradiance.clearSkyGhi', { id: 'Clear-Sky Global Horizontal', color: 'hsl(44, 60%, 70%)', dashed: true }),
+      channelToSeries(result, 'irradiance.clearSkyPoa', { id: 'Clear-Sky Plane of Array', color: 'hsl(120, 50%, 70%)', dashed: true }),
+    ] : []),
+  ]
+}
+
+/**
+ * Simulate solar panel performance profile over the configured horizon
+ * The panel works in the system: its inlet is the bottom of the tank and the pump
+ * controller decides when the loop runs, so the heat output is the heat delivered to the tank.
+ * With collectorModel 'iso9806' the efficiency curve against the reduced temperature
+ * difference is added as extra series (flagged with xLabel, and xUnit for unit conversion).
+ * With collectorThermalModel 'transient' the equilibrium temperature is plotted dashed for comparison.
+ * @param {object} parameters - All simulation parameters
+ * @param {object} options - fullResolution: one point per integration step. Default: false
+ * @returns {array} Array of plot data series
+ */
+export const simulateSolarPanel = (parameters, options) => {
+  const result = runSystemSimulation(parameters, options)
+  const ratedCollector = parameters.collectorModel === 'iso9806'
+  const coefficients = ratedCollector ? getCollectorCoefficients(parameters) : null
+
+  return [
+    channelToSeries(result, 'collector.panelTemp', { color: 'hsl(0, 100%, 50%)' }),
+    ...(result.channels['collector.equilibriumTemp']
+      ? [channelToSeries(result, 'collector.equilibriumTemp', { color: 'hsl(30, 90%, 55%)', dashed: true })]
+      : []),
+    channelToSeries(result, 'ambient.ambientTemp', { color: 'hsl(0, 60%, 50%)', dashed: true }),
+    channelToSeries(result, 'collector.efficiency', { color: 'hsl(120, 100%, 50%)' }),
+    channelToSeries(result, 'collector.heatOutput', { color: 'hsl(210, 100%, 50%)' }),
+    // Rated efficiency curve, plotted against the reduced temperature difference instead of time
+    ...(ratedCollector ? EFFICIENCY_CURVE_IRRADIANCES.map((irradiance, idx) => ({
+      id: `Efficiency at ${irradiance} W/m² (%)`,
+      color: `hsl(${280 - idx * 40}, 70%, 60%)`,
+      data: sampleEfficiencyCurve(coefficients, irradiance).map(({ x, y }) => ({
+        x: parseFloat(x.toFixed(4)),
+        y: parseFloat((y * 100).toFixed(2)),
+      })),
+      xLabel: 'Reduced Temperature Difference (T_m - T_a) / G (m²·K/W)',
+      xUnit: 'm²·K/W',
+    })) : []),
+  ]
+}
+
+/**
+ * Simulate storage tank temperature profile over the configured horizon
+ * Implements full energy balance with time-varying solar input, dynamic heat loss and hot water draw-off
+ *
+ * @param {object} parameters - All simulation parameters
+ * @param {object} options - fullResolution: one point per integration step. Default: false
+ * @returns {array} Array of plot data series; per-day aggregates are flagged with aggregate: 'daily'
+ */
+export const simulateStorageTank = (parameters, options) => {
+  const result = runSystemSimulation(parameters, options)
+  const { daily } = result.summaries.tank
+  const dayEnds = daily.map((d) => d.endTime)
+  const layerIds = Object.keys(result.channels).filter((id) => id.startsWith('tank.layer'))
+
+  return [
+    channelToSeries(result, 'collector.heatOutput', { id: 'Heat In (W)', color: 'hsl(120, 100%, 50%)' }),
+    channelToSeries(result, 'tank.heatLoss', { color: 'hsl(210, 100%, 50%)' }),
+    channelToSeries(result, 'tank.auxHeat', { color: 'hsl(20, 90%, 55%)' }),
+    channelToSeries(result, 'collector.pumpState', { color: 'hsl(160, 80%, 45%)', step: true }),
+    channelToSeries(result, 'collector.pumpRuntime', { color: 'hsl(60, 80%, 50%)' }),
+    channelToSeries(result, 'collector.pumpEnergy', { color: 'hsl(300, 70%, 60%)' }),
+    channelToSeries(result, 'tank.drawOff', { color: 'hsl(280, 80%, 60%)' }),
+    channelToSeries(result, 'tank.tankTemp', { color: 'hsl(0, 100%, 50%)' }),
+    channelToSeries(result, 'collector.outletTemp', { color: 'hsl(44, 100%, 50%)' }),
+    channelToSeries(result, 'ambient.ambientTemp', { color: 'hsl(0, 60%, 50%)', dashed: true }),
+    // One series per layer for the stratified model, hot red at the top to cool blue at the bottom
+    ...layerIds.map((id, n) => channelToSeries(result, id, {
+      color: `hsl(${Math.round((240 * n) / (layerIds.length - 1))}, 80%, 55%)`,
+      layer: n,
+    })),
+    channelToSeries(result, 'collector.solarEnergy', { color: 'hsl(44, 100%, 50%)' }),
+    channelToSeries(result, 'tank.auxEnergy', { color: 'hsl(20, 90%, 55%)' }),
+    channelToSeries(result, 'tank.deliveredEnergy', { color: 'hsl(180, 80%, 45%)' }),
+    channelToSeries(result, 'tank.unmetEnergy', { color: 'hsl(330, 90%, 55%)' }),
+    {
+      id: 'Daily Min Tank Temp (°C)',
+      color: 'hsl(210, 80%, 60%)',
+      data: toPlotData(dayEnds, daily.map((d) => d.minTankTemp)),
+      aggregate: 'daily',
+    },
+    {
+      id: 'Daily Max Tank Temp (°C)',
+      color: 'hsl(0, 80%, 60%)',
+      data: toPlotData(dayEnds, daily.map((d) => d.maxTankTemp)),
+      aggregate: 'daily',
+    },
+    {
+      id: 'End-of-Day Tank Temp (°C)',
+      color: 'hsl(30, 90%, 55%)',
+      data: toPlotData(dayEnds, daily.map((d) => d.endTankTemp)),
+      aggregate: 'daily',
+    },
+    {
+      id: 'Daily Solar Energy (kWh)',
+      color: 'hsl(44, 100%, 50%)',
+      data: toPlotData(dayEnds, daily.map((d) => d.solarEnergy)),
+      aggregate: 'daily',
+    },
+    {
+      id: 'Daily Auxiliary Energy (kWh)',
+      color: 'hsl(20, 90%, 55%)',
+      data: toPlotData(dayEnds, daily.map((d) => d.auxiliaryEnergy)),
+      aggregate: 'daily',
+    },
+    {
+      id: 'Daily Delivered Energy (kWh)',
+      color: 'hsl(180, 80%, 45%)',
+      data: toPlotData(dayEnds, daily.map((d) => d.deliveredEnergy)),
+      aggregate: 'daily',
+    },
+    {
+      id: 'Daily Unmet Energy (kWh)',
+      color: 'hsl(330, 90%, 55%)',
+      data: toPlotData(dayEnds, daily.map((d) => d.unmetEnergy)),
+      aggregate: 'daily',
+    },
+  ]
+}
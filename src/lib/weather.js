@@ -0,0 +1,254 @@
+/**
+ * Weather File Import
+ * Client-side parsing of EPW, TMY3 and simple CSV weather files and interpolation
+ * of the hourly records to the simulation timestep
+ */
+
+const HOURS_PER_YEAR = 8760
+
+// Cumulative days before each month in a non-leap year
+const DAYS_BEFORE_MONTH = [0, 31, 59, 90, 120, 151, 181, 212, 243, 273, 304, 334]
+
+// Accepted column names for the simple CSV format (compared in lower case)
+const CSV_COLUMNS = {
+  timestamp: ['timestamp', 'time', 'datetime', 'date'],
+  ghi: ['ghi', 'global', 'ghi (w/m2)', 'ghi (w/m^2)'],
+  dni: ['dni', 'direct', 'dni (w/m2)', 'dni (w/m^2)'],
+  dhi: ['dhi', 'diffuse', 'dhi (w/m2)', 'dhi (w/m^2)'],
+  temp: ['temp', 'temperature', 'dry_bulb', 'drybulb', 'dry-bulb', 'dry bulb', 'tamb', 'temp_air'],
+  windSpeed: ['wind_speed', 'windspeed', 'wind speed', 'wspd', 'wind'],
+}
+
+/**
+ * Convert a calendar date and hour to hours since 1 January 00:00
+ * Leap days are folded onto 28 February so every year has 8760 hours.
+ */
+const toHourOfYear = (month, day, hour) => {
+  const dayOfYear = DAYS_BEFORE_MONTH[month - 1] + Math.min(day, month === 2 ? 28 : 31)
+  return (dayOfYear - 1) * 24 + hour
+}
+
+const splitCsvLine = (line) => line.split(',').map((cell) => cell.trim())
+
+const parseNumber = (value, name, lineNumber) => {
+  const number = parseFloat(value)
+  if (!Number.isFinite(number)) {
+    throw new Error(`Invalid ${name} value "${value}" on line ${lineNumber}`)
+  }
+  return number
+}
+
+/**
+ * Parse an EnergyPlus Weather (EPW) file
+ * The LOCATION header gives latitude, longitude and time zone; data rows start after
+ * eight header lines. Hour N covers the hour ending at N:00, so records are placed at N - 0.5.
+ *
+ * @param {string} text - File contents
+ * @returns {object} Weather data with location and hourly records
+ */
+export const parseEPW = (text) => {
+  const lines = text.split(/\r?\n/)
+  const location = splitCsvLine(lines[0])
+  if (location[0].toUpperCase() !== 'LOCATION') {
+    throw new Error('EPW file must start with a LOCATION header')
+  }
+
+  const records = []
+  for (let i = 8; i < lines.length; i++) {
+    if (!lines[i].trim()) continue
+    const cells = splitCsvLine(lines[i])
+    const lineNumber = i + 1
+    records.push({
+      t: toHourOfYear(parseInt(cells[1], 10), parseInt(cells[2], 10), parseNumber(cells[3], 'hour', lineNumber) - 0.5),
+      temp: parseNumber(cells[6], 'dry-bulb temperature', lineNumber),
+      ghi: parseNumber(cells[13], 'GHI', lineNumber),
+      dni: parseNumber(cells[14], 'DNI', lineNumber),
+      dhi: parseNumber(cells[15], 'DHI', lineNumber),
+      windSpeed: parseNumber(cells[21], 'wind speed', lineNumber),
+    })
+  }
+
+  return {
+    format: 'EPW',
+    site: [location[1], location[3]].filter(Boolean).join(', '),
+    location: {
+      latitude: parseFloat(location[6]),
+      longitude: parseFloat(location[7]),
+      timeZone: parseFloat(location[8]),
+    },
+    records,
+  }
+}
+
+/**
+ * Parse a TMY3 CSV file
+ * Line 1 holds site metadata (id, name, state, time zone, latitude, longitude, elevation),
+ * line 2 the column names. Times are hour-ending like EPW.
+ *
+ * @param {string} text - File contents
+ * @returns {object} Weather data with location and hourly records
+ */
+export const parseTMY3 = (text) => {
+  const lines = text.split(/\r?\n/)
+  const meta = splitCsvLine(lines[0])
+  const header = splitCsvLine(lines[1])
+  const column = (name) => {
+    const index = header.findIndex((h) => h.startsWith(name))
+    if (index < 0) {
+      throw new Error(`TMY3 file is missing the "${name}" column`)
+    }
+    return index
+  }
+  const dateCol = column('Date')
+  const timeCol = column('Time')
+  const ghiCol = column('GHI (')
+  const dniCol = column('DNI (')
+  const dhiCol = column('DHI (')
+  const tempCol = column('Dry-bulb')
+  const windCol = column('Wspd')
+
+  const records = []
+  for (let i = 2; i < lines.length; i++) {
+    if (!lines[i].trim()) continue
+    const cells = splitCsvLine(lines[i])
+    const lineNumber = i + 1
+    const [month, day] = cells[dateCol].split('/').map((part) => parseInt(part, 10))
+    const [hour, minute] = cells[timeCol].split(':').map((part) => parseInt(part, 10))
+    records.push({
+      t: toHourOfYear(month, day, hour + (minute || 0) / 60 - 0.5),
+      ghi: parseNumber(cells[ghiCol], 'GHI', lineNumber),
+      dni: parseNumber(cells[dniCol], 'DNI', lineNumber),
+      dhi: parseNumber(cells[dhiCol], 'DHI', lineNumber),
+      temp: parseNumber(cells[tempCol], 'dry-bulb temperature', lineNumber),
+      windSpeed: parseNumber(cells[windCol], 'wind speed', lineNumber),
+    })
+  }
+
+  return {
+    format: 'TMY3',
+    site: [meta[1], meta[2]].filter(Boolean).join(', ').replace(/"/g, ''),
+    location: {
+      latitude: parseFloat(meta[4]),
+      longitude: parseFloat(meta[5]),
+      timeZone: parseFloat(meta[3]),
+    },
+    records,
+  }
+}
+
+/**
+ * Parse a simple CSV weather file
+ * Requires a header row with timestamp, GHI, DNI, DHI, dry-bulb temperature and wind speed
+ * columns (common aliases accepted). Timestamps are "YYYY-MM-DD HH:MM" / ISO 8601 local
+ * times or plain hours since 1 January 00:00. Values are taken at the timestamp.
+ *
+ * @param {string} text - File contents
+ * @returns {object} Weather data with hourly records (no location)
+ */
+export const parseWeatherCSV = (text) => {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim())
+  const header = splitCsvLine(lines[0]).map((h) => h.toLowerCase())
+  const columns = {}
+  for (const [key, aliases] of Object.entries(CSV_COLUMNS)) {
+    columns[key] = header.findIndex((h) => aliases.includes(h))
+    if (columns[key] < 0) {
+      throw new Error(`CSV file is missing a ${key} column (accepted names: ${aliases.join(', ')})`)
+    }
+  }
+
+  const records = lines.slice(1).map((line, idx) => {
+    const cells = splitCsvLine(line)
+    const lineNumber = idx + 2
+    const stamp = cells[columns.timestamp]
+    const match = stamp.match(/^\d{4}-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})/)
+    const t = match
+      ? toHourOfYear(parseInt(match[1], 10), parseInt(match[2], 10), parseInt(match[3], 10) + parseInt(match[4], 10) / 60)
+      : parseNumber(stamp, 'timestamp', lineNumber)
+    return {
+      t,
+      ghi: parseNumber(cells[columns.ghi], 'GHI', lineNumber),
+      dni: parseNumber(cells[columns.dni], 'DNI', lineNumber),
+      dhi: parseNumber(cells[columns.dhi], 'DHI', lineNumber),
+      temp: parseNumber(cells[columns.temp], 'dry-bulb temperature', lineNumber),
+      windSpeed: parseNumber(cells[columns.windSpeed], 'wind speed', lineNumber),
+    }
+  })
+
+  return { format: 'CSV', site: '', location: null, records }
+}
+
+/**
+ * Parse a weather file, detecting EPW, TMY3 or simple CSV from its contents
+ * @param {string} text - File contents
+ * @param {string} fileName - Original file name, kept for display
+ * @returns {object} Weather data: { name, format, site, location, records } with records sorted by time
+ */
+export const parseWeatherFile = (text, fileName = '') => {
+  const firstLine = text.slice(0, text.indexOf('\n') + 1 || text.length)
+  let weather
+  if (/^\s*LOCATION,/i.test(firstLine)) {
+    weather = parseEPW(text)
+  } else if (/Date \(MM\/DD\/YYYY\)/.test(text.split(/\r?\n/, 2)[1] || '')) {
+    weather = parseTMY3(text)
+  } else {
+    weather = parseWeatherCSV(text)
+  }
+
+  if (weather.records.length < 2) {
+    throw new Error('Weather file must contain at least two records')
+  }
+  weather.records.sort((a, b) => a.t - b.t)
+  return { name: fileName, ...weather }
+}
+
+/**
+ * Check whether the simulation is driven by an imported weather file
+ * @param {object} params - Parameters object containing weatherSource and weather
+ * @returns {boolean} True if weather records are loaded and selected
+ */
+export const isWeatherDriven = (params) => params.weatherSource === 'file' && params.weather?.records?.length > 1
+
+const interpolateRecords = (before, after, fraction) => {
+  const lerp = (key) => before[key] + (after[key] - before[key]) * fraction
+  return {
+    ghi: Math.max(0, lerp('ghi')),
+    dni: Math.max(0, lerp('dni')),
+    dhi: Math.max(0, lerp('dhi')),
+    temp: lerp('temp'),
+    windSpeed: Math.max(0, lerp('windSpeed')),
+  }
+}
+
+/**
+ * Interpolate weather records to a simulation time
+ * Simulation time is offset by params.dayOfYear and wraps around the end of the year,
+ * so a multi-day run continues through the file. Values between records are linear.
+ *
+ * @param {number} t - Time in hours from the start of the first simulated day
+ * @param {object} params - Parameters object containing dayOfYear and weather
+ * @returns {object} Interpolated ghi, dni, dhi (W/m²), temp (°C) and windSpeed (m/s)
+ */
+export const interpolateWeather = (t, params) => {
+  const { records } = params.weather
+  const hourOfYear = ((((params.dayOfYear - 1) * 24 + t) % HOURS_PER_YEAR) + HOURS_PER_YEAR) % HOURS_PER_YEAR
+
+  let lo = 0
+  let hi = records.length - 1
+  if (hourOfYear < records[0].t || hourOfYear >= records[hi].t) {
+    // Between the last record and the first one of the next year
+    const before = records[hi]
+    const after = records[0]
+    const span = after.t + HOURS_PER_YEAR - before.t
+    const offset = (hourOfYear - before.t + HOURS_PER_YEAR) % HOURS_PER_YEAR
+    return interpolateRecords(before, after, span > 0 ? offset / span : 0)
+  }
+  // Binary search for the last record at or before hourOfYear
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1
+    if (records[mid].t <= hourOfYear) lo = mid
+    else hi = mid
+  }
+  const before = records[lo]
+  const after = records[hi]
+  return interpolateRecords(before, after, (hourOfYear - before.t) / (after.t - before.t))
+}